@@ -0,0 +1,71 @@
+const crypto = require('crypto');
+
+/**
+ * Проверка административного токена из ADMIN_TOKEN и токенов владельца
+ * (словаря, ИИ-игры). Без заданного ADMIN_TOKEN административные операции отключены
+ */
+
+const hash = (value) => crypto.createHash('sha256').update(String(value)).digest();
+
+// Токены владельца хранятся только в виде хэша
+const hashToken = (token) => hash(token).toString('hex');
+const generateToken = () => crypto.randomBytes(18).toString('base64url');
+
+const tokenMatches = (token, tokenHash) => {
+  if (!token || !tokenHash) return false;
+  return crypto.timingSafeEqual(Buffer.from(hashToken(token)), Buffer.from(tokenHash));
+};
+
+/**
+ * Совпадает ли переданный токен с ADMIN_TOKEN (сравнение за постоянное время)
+ * @param {string} token - токен из запроса
+ * @returns {boolean}
+ */
+function isAdminToken(token) {
+  const expected = process.env.ADMIN_TOKEN;
+  if (!expected || !token) return false;
+  return crypto.timingSafeEqual(hash(token), hash(expected));
+}
+
+/**
+ * Токен из заголовка Authorization: Bearer <token>
+ * @param {import('express').Request} req
+ * @returns {string|null}
+ */
+function getRequestToken(req) {
+  const header = req.get('Authorization') || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : null;
+}
+
+/**
+ * Express middleware: пропускает только запросы с административным токеном
+ */
+function requireAdmin(req, res, next) {
+  if (!process.env.ADMIN_TOKEN) {
+    return res.status(403).json({
+      success: false,
+      code: 'ADMIN_DISABLED',
+      message: 'Административный доступ не настроен'
+    });
+  }
+
+  if (!isAdminToken(getRequestToken(req))) {
+    return res.status(401).json({
+      success: false,
+      code: 'UNAUTHORIZED',
+      message: 'Требуется административный токен'
+    });
+  }
+
+  next();
+}
+
+module.exports = {
+  hashToken,
+  generateToken,
+  tokenMatches,
+  isAdminToken,
+  getRequestToken,
+  requireAdmin
+};
@@ -1,20 +1,32 @@
 const fs = require('fs').promises;
 const path = require('path');
+const { logger } = require('./logger');
+
+const log = logger.child({ module: 'ai-games' });
 
 /**
- * Сервис для работы с файлом ai_games.json
+ * Сервис для работы с файлом ai_games.json.
+ * Файл читается один раз, дальше все запросы идут к индексу в памяти;
+ * записи выполняются строго по очереди через временный файл и rename,
+ * поэтому одновременные запросы не теряют игры, а сбой не портит файл
  */
 class AIGamesFileService {
-  constructor() {
+  constructor(filePath = path.join(__dirname, 'data', 'ai_games.json')) {
     // Путь к файлу ai_games.json в data папке сервера
-    this.filePath = path.join(__dirname, 'data', 'ai_games.json');
+    this.filePath = filePath;
+    this.games = null;
+    // Число игр считается при загрузке и меняется вместе с индексом
+    this.gameCount = 0;
+    this.loading = null;
+    this.writeChain = Promise.resolve();
+    this.pendingWrite = null;
   }
 
   /**
-   * Загрузка всех ИИ-игр из файла
+   * Чтение файла с диска
    * @returns {Promise<Object>} - объект с играми
    */
-  async loadGames() {
+  async readFile() {
     try {
       const data = await fs.readFile(this.filePath, 'utf8');
       return JSON.parse(data);
@@ -28,33 +40,183 @@ class AIGamesFileService {
   }
 
   /**
-   * Сохранение игр в файл
+   * Индекс игр в памяти, при первом обращении загружается из файла
+   * @returns {Promise<Object>}
+   */
+  async ensureLoaded() {
+    if (this.games) return this.games;
+
+    if (!this.loading) {
+      this.loading = this.readFile()
+        .then((games) => {
+          this.games = games;
+          this.gameCount = Object.keys(games).length;
+          return games;
+        })
+        .finally(() => {
+          this.loading = null;
+        });
+    }
+    return this.loading;
+  }
+
+  /**
+   * Загрузка всех ИИ-игр
+   * @returns {Promise<Object>} - копия объекта с играми
+   */
+  async loadGames() {
+    return { ...(await this.ensureLoaded()) };
+  }
+
+  /**
+   * Атомарное сохранение игр в файл
    * @param {Object} games - объект с играми
    */
   async saveGames(games) {
+    const tmpPath = `${this.filePath}.${process.pid}.tmp`;
     try {
-      await fs.writeFile(this.filePath, JSON.stringify(games, null, 2), 'utf8');
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.writeFile(tmpPath, JSON.stringify(games, null, 2), 'utf8');
+      await fs.rename(tmpPath, this.filePath);
     } catch (error) {
       throw new Error(`Ошибка записи файла ai_games.json: ${error.message}`);
     }
   }
 
+  /**
+   * Постановка записи в очередь. Изменения, накопившиеся пока идёт
+   * предыдущая запись, сохраняются одной следующей записью
+   * @returns {Promise<void>}
+   */
+  scheduleWrite() {
+    if (!this.pendingWrite) {
+      this.pendingWrite = this.writeChain.then(() => {
+        this.pendingWrite = null;
+        return this.saveGames(this.games);
+      });
+      this.writeChain = this.pendingWrite.catch((error) => {
+        log.error('Ошибка записи ai_games.json', { error });
+      });
+    }
+    return this.pendingWrite;
+  }
+
   /**
    * Добавление новой игры
    * @param {string} key - ключ игры
    * @param {string[]} words - массив слов
    * @param {string} topic - тема игры
+   * @param {Object} [meta] - дополнительные поля записи (например, provider)
    */
-  async addGame(key, words, topic) {
-    const games = await this.loadGames();
-    
+  async addGame(key, words, topic, meta = {}) {
+    const games = await this.ensureLoaded();
+    if (!Object.prototype.hasOwnProperty.call(games, key)) {
+      this.gameCount++;
+    }
+
     games[key] = {
       words: words,
       topic: topic,
-      created: new Date().toISOString()
+      created: new Date().toISOString(),
+      playCount: 0,
+      ...meta
     };
-    
-    await this.saveGames(games);
+
+    await this.scheduleWrite();
+  }
+
+  /**
+   * Изменение существующей игры
+   * @param {string} key - ключ игры
+   * @param {Object} changes - новые значения полей
+   * @returns {Promise<Object|null>} - обновлённая игра или null, если её нет
+   */
+  async updateGame(key, changes) {
+    const games = await this.ensureLoaded();
+    if (!Object.prototype.hasOwnProperty.call(games, key)) return null;
+
+    games[key] = { ...games[key], ...changes, updated: new Date().toISOString() };
+    await this.scheduleWrite();
+    return games[key];
+  }
+
+  /**
+   * Удаление игры
+   * @param {string} key - ключ игры
+   * @returns {Promise<boolean>} - была ли такая игра
+   */
+  async deleteGame(key) {
+    const games = await this.ensureLoaded();
+    if (!Object.prototype.hasOwnProperty.call(games, key)) return false;
+
+    delete games[key];
+    this.gameCount--;
+    await this.scheduleWrite();
+    return true;
+  }
+
+  /**
+   * Учёт запуска партии по ИИ-ключу
+   * @param {string} key - ключ игры
+   */
+  async recordPlay(key) {
+    const games = await this.ensureLoaded();
+    if (!Object.prototype.hasOwnProperty.call(games, key)) return;
+
+    games[key].playCount = (games[key].playCount || 0) + 1;
+    games[key].lastPlayed = new Date().toISOString();
+    await this.scheduleWrite();
+  }
+
+  /**
+   * Число сохранённых игр без копирования индекса
+   * @returns {Promise<number>}
+   */
+  async count() {
+    await this.ensureLoaded();
+    return this.gameCount;
+  }
+
+  /**
+   * Постраничный список игр, новые первыми
+   * @param {Object} [query]
+   * @param {string} [query.topic] - подстрока темы (без учёта регистра и ё/е)
+   * @param {number} [query.page] - номер страницы с 1
+   * @param {number} [query.limit] - размер страницы
+   * @returns {Promise<{items: Object[], total: number, page: number, limit: number}>}
+   */
+  async listGames({ topic, page = 1, limit = 20 } = {}) {
+    const games = await this.loadGames();
+    const normalize = (text) => String(text || '').toLowerCase().replace(/ё/g, 'е');
+    const search = topic ? normalize(topic) : null;
+
+    const matching = Object.entries(games)
+      .filter(([, game]) => !search || normalize(game.topic).includes(search))
+      .sort(([, a], [, b]) => String(b.created).localeCompare(String(a.created)));
+
+    const items = matching
+      .slice((page - 1) * limit, page * limit)
+      .map(([key, game]) => AIGamesFileService.toSummary(key, game));
+
+    return { items, total: matching.length, page, limit };
+  }
+
+  /**
+   * Запись без списка слов — для списков; хэш токена владельца наружу не отдаётся
+   */
+  static toSummary(key, game) {
+    const { words, editTokenHash, ...meta } = game;
+    return { key, ...meta, playCount: game.playCount || 0, wordCount: words.length };
+  }
+
+  /**
+   * Получение игры по ключу
+   * @param {string} key - ключ игры
+   * @returns {Promise<Object|null>} - игра или null
+   */
+  async getGame(key) {
+    const games = await this.ensureLoaded();
+    return Object.prototype.hasOwnProperty.call(games, key) ? games[key] : null;
   }
 
   /**
@@ -63,9 +225,121 @@ class AIGamesFileService {
    * @returns {Promise<boolean>}
    */
   async gameExists(key) {
-    const games = await this.loadGames();
-    return games.hasOwnProperty(key);
+    const games = await this.ensureLoaded();
+    return Object.prototype.hasOwnProperty.call(games, key);
+  }
+
+  /**
+   * Дождаться завершения всех записей (при остановке сервера)
+   */
+  async shutdown() {
+    await this.writeChain;
+  }
+}
+
+/**
+ * ИИ-игры в Redis, чтобы ключ, выданный одним экземпляром сервера, открывался на любом.
+ * Игра — поле хэша с JSON; счётчик партий лежит в отдельном хэше и растёт через HINCRBY,
+ * поэтому одновременные запуски на разных экземплярах не теряют друг друга
+ */
+class RedisAIGamesService extends AIGamesFileService {
+  /**
+   * @param {Redis} redis - клиент ioredis
+   * @param {string} [prefix] - префикс ключей (REDIS_PREFIX)
+   */
+  constructor(redis, prefix = 'codenames:') {
+    super(null);
+    this.redis = redis;
+    this.gamesKey = `${prefix}ai_games`;
+    this.playsKey = `${prefix}ai_games:plays`;
+  }
+
+  // В хэше партий: поле key — сколько раз играли, key:last — когда последний раз
+  static decode(key, raw, plays) {
+    const game = JSON.parse(raw);
+    return {
+      ...game,
+      playCount: Number(plays[key]) || 0,
+      ...(plays[`${key}:last`] && { lastPlayed: plays[`${key}:last`] })
+    };
+  }
+
+  async exec(multi) {
+    const results = await multi.exec();
+    const failed = results.find(([error]) => error);
+    if (failed) throw failed[0];
+    return results.map(([, value]) => value);
+  }
+
+  async loadGames() {
+    const [games, plays] = await this.exec(this.redis.multi().hgetall(this.gamesKey).hgetall(this.playsKey));
+    return Object.fromEntries(Object.entries(games)
+      .map(([key, raw]) => [key, RedisAIGamesService.decode(key, raw, plays)]));
+  }
+
+  async getGame(key) {
+    const [raw, count, last] = await this.exec(this.redis.multi()
+      .hget(this.gamesKey, key)
+      .hget(this.playsKey, key)
+      .hget(this.playsKey, `${key}:last`));
+    return raw ? RedisAIGamesService.decode(key, raw, { [key]: count, [`${key}:last`]: last }) : null;
+  }
+
+  async gameExists(key) {
+    return (await this.redis.hexists(this.gamesKey, key)) === 1;
+  }
+
+  count() {
+    return this.redis.hlen(this.gamesKey);
+  }
+
+  async addGame(key, words, topic, meta = {}) {
+    const game = { words, topic, created: new Date().toISOString(), ...meta };
+    await this.redis.hset(this.gamesKey, key, JSON.stringify(game));
+  }
+
+  async updateGame(key, changes) {
+    const raw = await this.redis.hget(this.gamesKey, key);
+    if (!raw) return null;
+
+    const { playCount, lastPlayed, ...rest } = changes;
+    const game = { ...JSON.parse(raw), ...rest, updated: new Date().toISOString() };
+    await this.redis.hset(this.gamesKey, key, JSON.stringify(game));
+    return this.getGame(key);
+  }
+
+  async deleteGame(key) {
+    const [removed] = await this.exec(this.redis.multi()
+      .hdel(this.gamesKey, key)
+      .hdel(this.playsKey, key, `${key}:last`));
+    return removed === 1;
+  }
+
+  async recordPlay(key) {
+    if (!(await this.gameExists(key))) return;
+    await this.exec(this.redis.multi()
+      .hincrby(this.playsKey, key, 1)
+      .hset(this.playsKey, `${key}:last`, new Date().toISOString()));
+  }
+
+  async shutdown() {}
+}
+
+class AIGamesServiceFactory {
+  /**
+   * @param {Redis} [redis] - клиент ioredis; без него игры хранятся в data/ai_games.json
+   * @returns {AIGamesFileService}
+   */
+  static create(redis = null) {
+    if (redis) {
+      return new RedisAIGamesService(redis, process.env.REDIS_PREFIX || 'codenames:');
+    }
+    return new AIGamesFileService();
   }
 }
 
-module.exports = AIGamesFileService;
\ No newline at end of file
+module.exports = {
+  AIGamesFileService,
+  RedisAIGamesService,
+  AIGamesServiceFactory
+};
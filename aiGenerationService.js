@@ -0,0 +1,325 @@
+const { defaultKeyService } = require('./keyGenerator');
+const { BOARD_SIZE } = require('./boardGenerator');
+const { aiGenerations, aiGenerationFailures } = require('./metrics');
+const { hashToken, generateToken, tokenMatches } = require('./adminAuth');
+
+class AIGenerationError extends Error {
+  constructor(code, message, status = 500, retryAfter = null) {
+    super(message);
+    this.name = 'AIGenerationError';
+    this.code = code;
+    this.status = status;
+    this.retryAfter = retryAfter;
+  }
+}
+
+// Метка темы, которую сейчас генерирует один из экземпляров
+const PENDING = 'pending';
+// Как часто экземпляр проверяет тему, которую генерирует другой экземпляр
+const TOPIC_POLL_MS = 1000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Недавние темы в памяти экземпляра: тема -> ключ игры или PENDING, пока идёт генерация
+ */
+class MemoryTopicStore {
+  constructor() {
+    // тема -> { value, expiresAt }
+    this.topics = new Map();
+  }
+
+  async get(topic) {
+    const entry = this.topics.get(topic);
+    if (!entry) return null;
+    if (entry.expiresAt <= Date.now()) {
+      this.topics.delete(topic);
+      return null;
+    }
+    return entry.value;
+  }
+
+  /**
+   * Захват темы на время генерации
+   * @returns {Promise<boolean>} - false, если тему уже генерируют или она сгенерирована недавно
+   */
+  async claim(topic, ttlMs) {
+    if (await this.get(topic)) return false;
+    await this.set(topic, PENDING, ttlMs);
+    return true;
+  }
+
+  async set(topic, value, ttlMs) {
+    this.topics.set(topic, { value, expiresAt: Date.now() + ttlMs });
+  }
+
+  async release(topic) {
+    this.topics.delete(topic);
+  }
+
+  prune() {
+    const now = Date.now();
+    this.topics.forEach((entry, topic) => {
+      if (entry.expiresAt <= now) {
+        this.topics.delete(topic);
+      }
+    });
+  }
+}
+
+/**
+ * Недавние темы в Redis, общие для всех экземпляров: одну тему генерирует
+ * тот, кто первым захватил её через SET NX, остальные ждут его результата
+ */
+class RedisTopicStore {
+  /**
+   * @param {Redis} redis - клиент ioredis
+   * @param {string} [prefix] - префикс ключей (REDIS_PREFIX)
+   */
+  constructor(redis, prefix = 'codenames:') {
+    this.redis = redis;
+    this.prefix = prefix;
+  }
+
+  getKey(topic) {
+    return `${this.prefix}ai_topics:${topic}`;
+  }
+
+  get(topic) {
+    return this.redis.get(this.getKey(topic));
+  }
+
+  async claim(topic, ttlMs) {
+    return (await this.redis.set(this.getKey(topic), PENDING, 'PX', ttlMs, 'NX')) === 'OK';
+  }
+
+  async set(topic, value, ttlMs) {
+    await this.redis.set(this.getKey(topic), value, 'PX', ttlMs);
+  }
+
+  async release(topic) {
+    await this.redis.del(this.getKey(topic));
+  }
+
+  // Записи истекают в самом Redis
+  prune() {}
+}
+
+class AITopicStoreFactory {
+  /**
+   * @param {Redis} [redis] - клиент ioredis; без него темы помнит только этот экземпляр
+   * @returns {MemoryTopicStore|RedisTopicStore}
+   */
+  static create(redis = null) {
+    if (redis) {
+      return new RedisTopicStore(redis, process.env.REDIS_PREFIX || 'codenames:');
+    }
+    return new MemoryTopicStore();
+  }
+}
+
+/**
+ * Генерация ИИ-игр с защитой квоты: общий лимит частоты, дневной бюджет
+ * и повторное использование ключа для одинаковых тем
+ */
+class AIGenerationService {
+  /**
+   * @param {Object} deps
+   * @param {AIServerService} deps.aiService - генератор слов
+   * @param {AIGamesFileService} deps.aiGamesFile - хранилище ИИ-игр
+   * @param {GameStatsService} deps.gameStats - статистика (счётчик генераций за день)
+   * @param {TokenBucket} deps.globalBucket - общий лимит обращений к ИИ
+   * @param {number} deps.dailyBudget - сколько генераций разрешено в сутки
+   * @param {number} deps.dedupWindowMs - сколько времени тема считается уже сгенерированной
+   * @param {number} [deps.generationTimeoutMs] - сколько генерация держит тему за собой
+   * @param {MemoryTopicStore|RedisTopicStore} [deps.topics] - недавние темы
+   * @param {KeyService} [deps.keyService] - генератор ключей
+   */
+  constructor({ aiService, aiGamesFile, gameStats, globalBucket, dailyBudget, dedupWindowMs,
+    generationTimeoutMs = 120000, topics = new MemoryTopicStore(), keyService = defaultKeyService }) {
+    this.aiService = aiService;
+    this.keyService = keyService;
+    this.aiGamesFile = aiGamesFile;
+    this.gameStats = gameStats;
+    this.globalBucket = globalBucket;
+    this.dailyBudget = dailyBudget;
+    this.dedupWindowMs = dedupWindowMs;
+    this.generationTimeoutMs = generationTimeoutMs;
+    // нормализованная тема -> ключ игры, пока тема считается сгенерированной
+    this.topics = topics;
+    // нормализованная тема -> Promise результата, пока идёт генерация на этом экземпляре
+    this.inFlight = new Map();
+  }
+
+  static normalizeTopic(topic) {
+    return topic.toLowerCase().replace(/ё/g, 'е').replace(/\s+/g, ' ').trim();
+  }
+
+  getBudget() {
+    const used = this.gameStats.getAIGenerationsToday();
+    return {
+      daily: this.dailyBudget,
+      used,
+      remaining: Math.max(0, this.dailyBudget - used)
+    };
+  }
+
+  async findRecent(normalized) {
+    const key = await this.topics.get(normalized);
+    if (!key || key === PENDING) return null;
+
+    const game = await this.aiGamesFile.getGame(key);
+    if (!game) {
+      // Игру удалили: тему можно генерировать заново
+      await this.topics.release(normalized);
+      return null;
+    }
+    return { key, words: game.words, topic: game.topic, rejected: [] };
+  }
+
+  /**
+   * Генерация игры по теме или выдача уже сгенерированной.
+   * Токен владельца получает только тот, чей запрос запустил генерацию
+   * @param {string} topic - тема
+   * @param {number} [count] - сколько слов нужно (число карт в раскладке)
+   * @returns {Promise<{key: string, words: string[], topic: string, rejected: Object[], reused: boolean,
+   *   editToken?: string}>}
+   */
+  async generate(topic, count = BOARD_SIZE) {
+    // Одна тема для полей разного размера — разные игры
+    const normalized = `${AIGenerationService.normalizeTopic(topic)}#${count}`;
+
+    const recent = await this.findRecent(normalized);
+    if (recent) {
+      aiGenerations.inc({ result: 'reused' });
+      return { ...recent, reused: true };
+    }
+
+    // Одновременные запросы с одной темой ждут одну генерацию
+    if (this.inFlight.has(normalized)) {
+      const { editToken, ...result } = await this.inFlight.get(normalized);
+      aiGenerations.inc({ result: 'reused' });
+      return { ...result, reused: true };
+    }
+
+    const promise = this.generateOnce(topic, normalized, count);
+    this.inFlight.set(normalized, promise);
+    try {
+      return await promise;
+    } finally {
+      this.inFlight.delete(normalized);
+    }
+  }
+
+  // Тему генерирует один экземпляр. Остальные ждут, пока она не появится среди недавних,
+  // а если захват истёк или генерация не удалась, забирают тему себе
+  async generateOnce(topic, normalized, count) {
+    while (!(await this.topics.claim(normalized, this.generationTimeoutMs))) {
+      const recent = await this.findRecent(normalized);
+      if (recent) {
+        aiGenerations.inc({ result: 'reused' });
+        return { ...recent, reused: true };
+      }
+      await sleep(TOPIC_POLL_MS);
+    }
+
+    try {
+      return { ...(await this.track(this.generateNew(topic, normalized, count))), reused: false };
+    } catch (error) {
+      await this.topics.release(normalized);
+      throw error;
+    }
+  }
+
+  // Учёт результата генерации в метриках
+  async track(promise) {
+    try {
+      const result = await promise;
+      aiGenerations.inc({ result: 'generated' });
+      return result;
+    } catch (error) {
+      aiGenerationFailures.inc({ code: error.code || 'GENERATION_FAILED' });
+      throw error;
+    }
+  }
+
+  // Проверка дневного бюджета и общего лимита перед обращением к ИИ. Генерация списывается
+  // сразу, в том же синхронном шаге, что и проверка: одновременные запросы не проскочат
+  // мимо бюджета, а неудачный вызов провайдера тоже расходует квоту
+  takeQuota() {
+    if (this.getBudget().remaining <= 0) {
+      throw new AIGenerationError('BUDGET_EXHAUSTED', 'Дневной лимит генераций исчерпан', 429);
+    }
+
+    const { allowed, retryAfterMs } = this.globalBucket.take();
+    if (!allowed) {
+      throw new AIGenerationError('RATE_LIMITED', 'Сервер перегружен, попробуйте позже', 429,
+        Math.ceil(retryAfterMs / 1000));
+    }
+
+    this.gameStats.recordAIGeneration();
+  }
+
+  async generateNew(topic, normalized, count) {
+    const key = await this.keyService.generateUnique('ai', (candidate) => this.aiGamesFile.gameExists(candidate));
+
+    // Генерируем слова через ИИ; rejected объясняет, что отброшено при проверке
+    this.takeQuota();
+    const { words, provider, rejected } = await this.aiService.generate(topic, count);
+
+    // Сохраняем игру; перегенерировать её сможет владелец по этому токену
+    const editToken = generateToken();
+    await this.aiGamesFile.addGame(key, words, topic, { provider, editTokenHash: hashToken(editToken) });
+    await this.topics.set(normalized, key, this.dedupWindowMs);
+
+    return { key, words, topic, rejected, editToken };
+  }
+
+  /**
+   * Новый набор слов для сохранённой игры с той же темой и тем же ключом
+   * @param {string} key - ключ ИИ-игры
+   * @param {Object} [auth] - { editToken, isAdmin }: токен, выданный при генерации, или администратор
+   * @returns {Promise<{key: string, words: string[], topic: string, rejected: Object[]}>}
+   */
+  async regenerate(key, { editToken, isAdmin = false } = {}) {
+    const game = await this.aiGamesFile.getGame(key);
+    if (!game) {
+      throw new AIGenerationError('GAME_NOT_FOUND', 'Игра не найдена', 404);
+    }
+    if (!isAdmin && !tokenMatches(editToken, game.editTokenHash)) {
+      throw new AIGenerationError('NOT_ALLOWED', 'Перегенерировать игру может только её владелец', 403);
+    }
+
+    if (this.inFlight.has(key)) {
+      return this.inFlight.get(key);
+    }
+
+    const promise = this.track((async () => {
+      this.takeQuota();
+      // Новый набор того же размера, что и прежний
+      const { words, provider, rejected } = await this.aiService.generate(game.topic, game.words.length);
+
+      await this.aiGamesFile.updateGame(key, { words, provider });
+      return { key, words, topic: game.topic, rejected };
+    })());
+
+    this.inFlight.set(key, promise);
+    try {
+      return await promise;
+    } finally {
+      this.inFlight.delete(key);
+    }
+  }
+
+  prune() {
+    this.topics.prune();
+  }
+}
+
+module.exports = {
+  AIGenerationService,
+  AIGenerationError,
+  MemoryTopicStore,
+  RedisTopicStore,
+  AITopicStoreFactory
+};
@@ -0,0 +1,181 @@
+const axios = require('axios');
+const { hashSeed, createRandom, shuffle } = require('./boardGenerator');
+
+/**
+ * Ошибка настройки провайдера: повторять запрос бессмысленно
+ */
+class ProviderConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ProviderConfigError';
+  }
+}
+
+/**
+ * Базовый класс провайдера языковой модели
+ */
+class LLMProvider {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Отправка промпта модели
+   * @param {string} prompt - текст запроса
+   * @returns {Promise<string>} - текст ответа модели
+   */
+  async complete(prompt) {
+    throw new Error('Method must be implemented');
+  }
+}
+
+/**
+ * Любой сервер с API /chat/completions в формате OpenAI:
+ * Mistral, OpenAI, llama.cpp server, vLLM и т.п.
+ */
+class OpenAICompatibleProvider extends LLMProvider {
+  constructor({ name, baseUrl, apiKey = null, model, apiKeyEnv = null, timeoutMs = 30000 }) {
+    super(name);
+    this.apiUrl = `${baseUrl.replace(/\/$/, '')}/chat/completions`;
+    this.apiKey = apiKey;
+    this.apiKeyEnv = apiKeyEnv;
+    this.model = model;
+    this.timeoutMs = timeoutMs;
+  }
+
+  async complete(prompt) {
+    if (this.apiKeyEnv && !this.apiKey) {
+      throw new ProviderConfigError(`${this.apiKeyEnv} не установлен в переменных окружения`);
+    }
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers['Authorization'] = `Bearer ${this.apiKey}`;
+    }
+
+    const response = await axios.post(this.apiUrl, {
+      model: this.model,
+      messages: [
+        {
+          role: 'user',
+          content: prompt
+        }
+      ],
+      temperature: 0.9,
+      max_tokens: 1000
+    }, { headers, timeout: this.timeoutMs });
+
+    return response.data.choices[0].message.content;
+  }
+}
+
+/**
+ * Локальный сервер Ollama (родной API /api/chat)
+ */
+class OllamaProvider extends LLMProvider {
+  constructor({ baseUrl, model, timeoutMs = 120000 }) {
+    super('ollama');
+    this.apiUrl = `${baseUrl.replace(/\/$/, '')}/api/chat`;
+    this.model = model;
+    this.timeoutMs = timeoutMs;
+  }
+
+  async complete(prompt) {
+    const response = await axios.post(this.apiUrl, {
+      model: this.model,
+      messages: [{ role: 'user', content: prompt }],
+      stream: false,
+      options: { temperature: 0.9 }
+    }, { timeout: this.timeoutMs });
+
+    return response.data.message.content;
+  }
+}
+
+/**
+ * Детерминированная заглушка без сети для тестов и разработки:
+ * одна и та же тема всегда даёт один и тот же набор слов из базового словаря
+ */
+class StubProvider extends LLMProvider {
+  constructor({ words = require('./dictionaries/basic.json').words } = {}) {
+    super('stub');
+    this.words = words;
+  }
+
+  async complete(prompt) {
+    const count = Number((prompt.match(/ровно (\d+) слов/) || [])[1]) || 25;
+    const random = createRandom(hashSeed(prompt));
+    return JSON.stringify(shuffle(this.words, random).slice(0, count));
+  }
+}
+
+/**
+ * Создание провайдера по имени из переменных окружения
+ * @param {string} name - mistral | openai | llamacpp | ollama | stub
+ * @param {Object} env - переменные окружения
+ * @returns {LLMProvider}
+ */
+function createProvider(name, env = process.env) {
+  const timeoutMs = Number(env.AI_TIMEOUT_MS) || undefined;
+
+  switch (name) {
+    case 'mistral':
+      return new OpenAICompatibleProvider({
+        name,
+        baseUrl: env.MISTRAL_BASE_URL || 'https://api.mistral.ai/v1',
+        apiKey: env.MISTRAL_API_KEY,
+        apiKeyEnv: 'MISTRAL_API_KEY',
+        model: env.MISTRAL_MODEL || 'mistral-large-latest',
+        timeoutMs
+      });
+    case 'openai':
+      return new OpenAICompatibleProvider({
+        name,
+        baseUrl: env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+        apiKey: env.OPENAI_API_KEY,
+        apiKeyEnv: env.OPENAI_BASE_URL ? null : 'OPENAI_API_KEY',
+        model: env.OPENAI_MODEL || 'gpt-4o-mini',
+        timeoutMs
+      });
+    case 'llamacpp':
+      return new OpenAICompatibleProvider({
+        name,
+        baseUrl: env.LLAMACPP_BASE_URL || 'http://localhost:8081/v1',
+        model: env.LLAMACPP_MODEL || 'local',
+        timeoutMs
+      });
+    case 'ollama':
+      return new OllamaProvider({
+        baseUrl: env.OLLAMA_BASE_URL || 'http://localhost:11434',
+        model: env.OLLAMA_MODEL || 'llama3.1',
+        timeoutMs
+      });
+    case 'stub':
+      return new StubProvider();
+    default:
+      throw new ProviderConfigError(`Неизвестный ИИ-провайдер: ${name}`);
+  }
+}
+
+/**
+ * Цепочка провайдеров из AI_PROVIDERS: первый основной, остальные — запасные
+ * @param {Object} env - переменные окружения
+ * @returns {LLMProvider[]}
+ */
+function createProvidersFromEnv(env = process.env) {
+  return (env.AI_PROVIDERS || 'mistral')
+    .split(',')
+    .map((name) => name.trim().toLowerCase())
+    .filter(Boolean)
+    .map((name) => createProvider(name, env));
+}
+
+module.exports = {
+  ProviderConfigError,
+  LLMProvider,
+  OpenAICompatibleProvider,
+  OllamaProvider,
+  StubProvider,
+  createProvider,
+  createProvidersFromEnv
+};
@@ -1,25 +1,33 @@
-const axios = require('axios');
+const { ProviderConfigError, createProvidersFromEnv } = require('./aiProviders');
+const { filterWords } = require('./wordListFilter');
+const { logger } = require('./logger');
+const { aiRequestDuration } = require('./metrics');
+
+const log = logger.child({ module: 'ai' });
+
+const WORDS_COUNT = 25;
 
 /**
- * Сервис для работы с ИИ
+ * Сервис для работы с ИИ: общий промпт, разбор ответа и проверка слов,
+ * а сами запросы уходят через цепочку провайдеров с повторами
  */
 class AIServerService {
-  constructor() {
-    this.apiKey = process.env.MISTRAL_API_KEY;
-    this.apiUrl = 'https://api.mistral.ai/v1/chat/completions';
-  }
-
   /**
-   * Генерация слов по теме через Mistral
-   * @param {string} topic - тема для генерации
-   * @returns {Promise<string[]>} - массив слов
+   * @param {Object} [options]
+   * @param {LLMProvider[]} [options.providers] - провайдеры по приоритету, по умолчанию из AI_PROVIDERS
+   * @param {number} [options.retries] - дополнительных попыток на каждого провайдера
+   * @param {number} [options.retryDelayMs] - базовая пауза между попытками
+   * @param {number} [options.repairRounds] - сколько раз дозапрашивать недостающие слова
    */
-  async generateWords(topic) {
-    if (!this.apiKey) {
-      throw new Error('MISTRAL_API_KEY не установлен в переменных окружения');
-    }
+  constructor({ providers = createProvidersFromEnv(), retries, retryDelayMs = 500, repairRounds } = {}) {
+    this.providers = providers;
+    this.retries = retries ?? (Number(process.env.AI_RETRIES) || 1);
+    this.retryDelayMs = retryDelayMs;
+    this.repairRounds = repairRounds ?? (Number(process.env.AI_REPAIR_ROUNDS) || 2);
+  }
 
-    const prompt = `Сгенерируй ровно 25 слов для игры "Кодовые имена" по теме: ${topic}
+  buildPrompt(topic, count = WORDS_COUNT) {
+    return `Сгенерируй ровно ${count} слов для игры "Кодовые имена" по теме: ${topic}
 
 Требования:
 - Только существительные в единственном числе
@@ -31,65 +39,180 @@ class AIServerService {
 
 Формат ответа - СТРОГО JSON массив без дополнительного текста, комментариев и markdown разметки:
 ["СЛОВО1", "СЛОВО2", "СЛОВО3", ...]`;
+  }
 
-    try {
-      const response = await axios.post(this.apiUrl, {
-        model: 'mistral-large-latest',
-        messages: [
-          {
-            role: 'user',
-            content: prompt
-          }
-        ],
-        temperature: 0.9,
-        max_tokens: 1000
-      }, {
-        headers: {
-          'Authorization': `Bearer ${this.apiKey}`,
-          'Content-Type': 'application/json'
-        }
-      });
-
-      const content = response.data.choices[0].message.content.trim();
-      console.log('[ИИ] Получен ответ от Mistral:', content.substring(0, 200) + '...');
-      
-      // Убираем Markdown обёртку если она есть
-      let jsonContent = content;
-      if (content.includes('```json')) {
-        const jsonMatch = content.match(/```json\s*([\s\S]*?)\s*```/);
-        if (jsonMatch) {
-          jsonContent = jsonMatch[1].trim();
-          console.log('[ИИ] Найдена JSON обёртка, извлекаем содержимое');
-        }
-      } else if (content.includes('```')) {
-        const codeMatch = content.match(/```[a-zA-Z]*\s*([\s\S]*?)\s*```/);
-        if (codeMatch) {
-          jsonContent = codeMatch[1].trim();
-          console.log('[ИИ] Найдена общая обёртка, извлекаем содержимое');
-        }
+  /**
+   * Дозапрос недостающих слов: модель видит уже занятые слова и отброшенные варианты
+   * @param {string} topic - тема
+   * @param {number} count - сколько слов не хватает
+   * @param {string[]} exclude - слова, которые нельзя повторять
+   */
+  buildRepairPrompt(topic, count, exclude) {
+    return `${this.buildPrompt(topic, count)}
+
+Не используй эти слова, а также однокоренные с ними:
+${exclude.join(', ')}`;
+  }
+
+  /**
+   * Извлечение JSON из ответа модели с учётом Markdown обёртки
+   * @param {string} content - ответ модели
+   * @returns {string}
+   */
+  extractJson(content) {
+    if (content.includes('```json')) {
+      const jsonMatch = content.match(/```json\s*([\s\S]*?)\s*```/);
+      if (jsonMatch) {
+        log.debug('Найдена JSON обёртка, извлекаем содержимое');
+        return jsonMatch[1].trim();
       }
-      
-      // Парсим JSON ответ
-      const words = JSON.parse(jsonContent);
-      
-      // Проверяем что получили массив из 25 слов
-      if (!Array.isArray(words) || words.length !== 25) {
-        throw new Error(`Ожидался массив из 25 слов, получено: ${words.length}`);
+    } else if (content.includes('```')) {
+      const codeMatch = content.match(/```[a-zA-Z]*\s*([\s\S]*?)\s*```/);
+      if (codeMatch) {
+        log.debug('Найдена общая обёртка, извлекаем содержимое');
+        return codeMatch[1].trim();
       }
+    }
+    return content;
+  }
+
+  /**
+   * Разбор ответа модели. Сами слова проверяет filterWords,
+   * поэтому здесь нужен только JSON-массив
+   * @param {string} content - ответ модели
+   * @returns {Array}
+   */
+  parseWords(content) {
+    let words;
+    try {
+      words = JSON.parse(this.extractJson(content.trim()));
+    } catch (error) {
+      throw new Error('Ошибка парсинга JSON ответа от ИИ');
+    }
 
-      // Приводим к верхнему регистру и убираем лишние пробелы
-      return words.map(word => word.toString().trim().toUpperCase());
+    if (!Array.isArray(words) || words.length === 0) {
+      throw new Error(`Ожидался массив слов, получено: ${Array.isArray(words) ? 'пустой массив' : typeof words}`);
+    }
 
+    return words;
+  }
+
+  describeError(provider, error) {
+    if (error.response) {
+      return `Ошибка API ${provider.name}: ${error.response.status} - ${error.response.data?.message || 'Unknown error'}`;
+    }
+    return `Ошибка генерации слов (${provider.name}): ${error.message}`;
+  }
+
+  // Запрос к провайдеру с замером времени для /metrics
+  async timedComplete(provider, prompt) {
+    const stopTimer = aiRequestDuration.startTimer({ provider: provider.name });
+    try {
+      const content = await provider.complete(prompt);
+      stopTimer({ outcome: 'success' });
+      return content;
     } catch (error) {
-      if (error.response) {
-        throw new Error(`Ошибка API Mistral: ${error.response.status} - ${error.response.data?.message || 'Unknown error'}`);
-      } else if (error instanceof SyntaxError) {
-        throw new Error('Ошибка парсинга JSON ответа от ИИ');
-      } else {
-        throw new Error(`Ошибка генерации слов: ${error.message}`);
+      stopTimer({ outcome: 'error' });
+      throw error;
+    }
+  }
+
+  /**
+   * Запрос к одному провайдеру с повторами
+   * @returns {Promise<Array>}
+   */
+  async generateWithProvider(provider, prompt) {
+    let lastError;
+
+    for (let attempt = 0; attempt <= this.retries; attempt++) {
+      if (attempt > 0) {
+        await new Promise((resolve) => setTimeout(resolve, this.retryDelayMs * attempt));
+      }
+
+      try {
+        const content = await this.timedComplete(provider, prompt);
+        log.debug('Получен ответ', { provider: provider.name, preview: content.substring(0, 200) });
+        return this.parseWords(content);
+      } catch (error) {
+        lastError = error;
+        log.warn('Ошибка запроса к провайдеру', {
+          provider: provider.name,
+          attempt: attempt + 1,
+          error: this.describeError(provider, error)
+        });
+        // Ошибки настройки и отказ в доступе повтором не исправить
+        const status = error.response?.status;
+        if (error instanceof ProviderConfigError || status === 401 || status === 403) {
+          break;
+        }
+      }
+    }
+
+    throw new Error(this.describeError(provider, lastError));
+  }
+
+  /**
+   * Запрос с переходом на запасной провайдер при ошибке
+   * @param {string} prompt - промпт
+   * @returns {Promise<{words: Array, provider: string}>}
+   */
+  async complete(prompt) {
+    const errors = [];
+
+    for (const provider of this.providers) {
+      try {
+        const words = await this.generateWithProvider(provider, prompt);
+        return { words, provider: provider.name };
+      } catch (error) {
+        errors.push(error.message);
       }
     }
+
+    throw new Error(errors.join('; ') || 'Не настроен ни один ИИ-провайдер');
+  }
+
+  /**
+   * Генерация слов по теме: проверка качества и дозапрос недостающих слов
+   * @param {string} topic - тема для генерации
+   * @param {number} [count] - сколько слов нужно (число карт на поле)
+   * @returns {Promise<{words: string[], provider: string, rejected: Object[]}>}
+   */
+  async generate(topic, count = WORDS_COUNT) {
+    const first = await this.complete(this.buildPrompt(topic, count));
+    const { words, rejected } = filterWords(first.words);
+
+    for (let round = 0; round < this.repairRounds && words.length < count; round++) {
+      const missing = count - words.length;
+      log.info('Дозапрос недостающих слов', { topic, missing, round: round + 1 });
+
+      const exclude = [...words, ...rejected.map((r) => r.word)];
+      const repair = await this.complete(this.buildRepairPrompt(topic, missing, exclude));
+      const extra = filterWords(repair.words, words);
+      words.push(...extra.words);
+      rejected.push(...extra.rejected);
+    }
+
+    if (words.length < count) {
+      throw new Error(`Ожидалось ${count} подходящих слов, получено: ${words.length}`);
+    }
+
+    if (rejected.length > 0) {
+      log.info('Отброшены слова', { topic, rejected: rejected.map((r) => `${r.word} (${r.reason})`) });
+    }
+
+    return { words: words.slice(0, count), provider: first.provider, rejected };
+  }
+
+  /**
+   * Генерация слов по теме
+   * @param {string} topic - тема для генерации
+   * @param {number} [count] - сколько слов нужно
+   * @returns {Promise<string[]>} - массив слов
+   */
+  async generateWords(topic, count = WORDS_COUNT) {
+    const { words } = await this.generate(topic, count);
+    return words;
   }
 }
 
-module.exports = AIServerService;
\ No newline at end of file
+module.exports = AIServerService;
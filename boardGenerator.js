@@ -0,0 +1,209 @@
+/**
+ * Детерминированная генерация игрового поля по ключу игры и секрету сервера
+ */
+
+const crypto = require("crypto");
+
+const BOARD_SIZE = 25;
+const TEAMS = ["blue", "red"];
+// Цвета, из которых собираются команды игры на нескольких командах
+const TEAM_COLORS = ["blue", "red", "green", "yellow", "purple", "orange"];
+const MAX_TEAMS = 4;
+const MIN_BOARD_SIDE = 4;
+const MAX_BOARD_SIDE = 8;
+
+// Пресеты правил: сторона поля и сколько карт у первой и второй команды и убийц,
+// остальные карты нейтральные. Для трёх и более команд карты команд делятся поровну (см. resolveLayout)
+const BOARD_PRESETS = {
+  classic: { side: 5, first: 9, second: 8, assassins: 1 },
+  quick: { side: 4, first: 6, second: 5, assassins: 1 },
+  marathon: { side: 6, first: 13, second: 12, assassins: 2 },
+};
+
+/**
+ * Получение числового зерна из строки
+ * @param {string} str - исходная строка (ключ игры)
+ * @returns {number} - 32-битное зерно
+ */
+function hashSeed(str) {
+  let h = 1779033703 ^ str.length;
+  for (let i = 0; i < str.length; i++) {
+    h = Math.imul(h ^ str.charCodeAt(i), 3432918353);
+    h = (h << 13) | (h >>> 19);
+  }
+  h = Math.imul(h ^ (h >>> 16), 2246822507);
+  h = Math.imul(h ^ (h >>> 13), 3266489909);
+  return (h ^ (h >>> 16)) >>> 0;
+}
+
+// Секрет подмешивается в зерно, иначе клиент пересчитал бы цвета карт по открытому ключу игры.
+// Без BOARD_SECRET (в production сервер без него не стартует) секрет случайный на время жизни процесса
+const BOARD_SECRET = process.env.BOARD_SECRET || crypto.randomBytes(32).toString("hex");
+
+/**
+ * Зерно раскладки игры
+ * @param {string} gameKey - ключ игры
+ * @param {string} [label] - метка, разводящая зёрна разных раскладок одной игры
+ * @returns {number}
+ */
+function boardSeed(gameKey, label = "") {
+  return hashSeed(`${BOARD_SECRET}:${normalizeGameKey(gameKey)}${label}`);
+}
+
+/**
+ * Создание генератора псевдослучайных чисел (mulberry32)
+ * @param {number} seed - зерно
+ * @returns {function(): number} - функция, возвращающая число в [0, 1)
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Перемешивание массива (Фишер–Йетс) без изменения исходного
+ * @param {Array} items - исходный массив
+ * @param {function(): number} random - генератор случайных чисел
+ * @returns {Array} - перемешанная копия
+ */
+function shuffle(items, random) {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+}
+
+// Латинские буквы, которые пишутся так же, как кириллические
+const LATIN_LOOKALIKES = {
+  A: "А", B: "В", C: "С", E: "Е", H: "Н", K: "К", M: "М",
+  O: "О", P: "Р", T: "Т", X: "Х", Y: "У",
+};
+
+/**
+ * Нормализация ключа игры: регистр не важен, а ключ, набранный латинскими
+ * двойниками кириллических букв (например, на английской раскладке), приводится к кириллице.
+ * Ключи с другими латинскими буквами не меняются
+ * @param {string} gameKey - ключ игры
+ * @returns {string}
+ */
+function normalizeGameKey(gameKey) {
+  const key = String(gameKey || "").trim().toUpperCase();
+  const latin = key.match(/[A-Z]/g) || [];
+  if (latin.length === 0 || !latin.every((letter) => LATIN_LOOKALIKES[letter])) {
+    return key;
+  }
+  return key.replace(/[A-Z]/g, (letter) => LATIN_LOOKALIKES[letter]);
+}
+
+/**
+ * Раскладка поля из пресета и заданных вручную чисел: {side, size, teams, first, second, neutral, assassins}.
+ * У первой команды карт больше, чем у каждой из остальных, — по этому раскладка определяет, кто ходит первым
+ * @param {Object} [options]
+ * @param {string} [options.preset] - имя из BOARD_PRESETS, по умолчанию classic
+ * @param {number} [options.side] - сторона поля
+ * @param {number} [options.first] - карт у первой команды
+ * @param {number} [options.second] - карт у каждой из остальных команд
+ * @param {number} [options.assassins] - убийц
+ * @param {number} [teams] - число команд
+ * @returns {Object}
+ */
+function resolveLayout({ preset = "classic", ...custom } = {}, teams = TEAMS.length) {
+  const base = BOARD_PRESETS[preset];
+  if (!base) {
+    throw new Error(`Неизвестный пресет поля: ${preset}`);
+  }
+
+  // Карты команд из пресета делятся между всеми командами, у первой на одну больше
+  const second = Math.floor((base.first + base.second) / teams);
+  const shared = teams === TEAMS.length ? base : { ...base, first: second + 1, second };
+  const { side, first, second: others, assassins } = { ...shared, ...custom };
+  if (!Number.isInteger(side) || side < MIN_BOARD_SIDE || side > MAX_BOARD_SIDE) {
+    throw new Error(`Сторона поля должна быть от ${MIN_BOARD_SIDE} до ${MAX_BOARD_SIDE}`);
+  }
+  if (!(others >= 1 && first > others)) {
+    throw new Error("У первой команды должно быть больше карт, чем у остальных");
+  }
+
+  const size = side * side;
+  const teamCards = first + others * (teams - 1);
+  const neutral = size - teamCards - assassins;
+  if (assassins < 0 || neutral < 0) {
+    throw new Error(`Карт команд и убийц больше, чем карт на поле: ${teamCards + assassins} из ${size}`);
+  }
+
+  return {
+    preset: Object.keys(custom).length > 0 ? "custom" : preset,
+    side, size, teams, first, second: others, neutral, assassins,
+  };
+}
+
+/**
+ * Генерация поля по раскладке; по умолчанию 9 карт первой команды, 8 второй, 7 нейтральных и 1 убийца.
+ * Без заданного порядка ходов играют две классические команды, а первая выбирается по ключу
+ * @param {string} gameKey - ключ игры
+ * @param {string[]} dictionaryWords - слова словаря
+ * @param {Object} [layout] - результат resolveLayout
+ * @param {string[]} [teams] - цвета команд в порядке ходов
+ * @param {number} [round] - номер партии на этом ключе: реванш раздаёт новое поле
+ * @returns {{words: string[], colors: string[], startingTeam: string, teams: string[]}}
+ */
+function generateBoard(gameKey, dictionaryWords, layout = resolveLayout(), teams = null, round = 1) {
+  const uniqueWords = [...new Set(dictionaryWords)];
+  if (uniqueWords.length < layout.size) {
+    throw new Error(`В словаре недостаточно слов: ${uniqueWords.length} из ${layout.size}`);
+  }
+
+  const random = createRandom(boardSeed(gameKey, `#${round}`));
+  let order = teams;
+  if (!order) {
+    const first = Math.floor(random() * TEAMS.length);
+    order = [...TEAMS.slice(first), ...TEAMS.slice(0, first)];
+  }
+
+  const words = shuffle(uniqueWords, random).slice(0, layout.size);
+  const colors = shuffle([
+    ...Array(layout.first).fill(order[0]),
+    ...order.slice(1).flatMap((team) => Array(layout.second).fill(team)),
+    ...Array(layout.neutral).fill("neutral"),
+    ...Array(layout.assassins).fill("black"),
+  ], random);
+
+  return { words, colors, startingTeam: order[0], teams: order };
+}
+
+/**
+ * Определение первой команды по раскладке: ходит та, у которой больше карт
+ * @param {string[]} colors - цвета карт
+ * @param {string[]} [teams] - команды в порядке ходов
+ * @returns {string}
+ */
+function getStartingTeam(colors, teams = TEAMS) {
+  const counts = teams.map((team) => colors.filter((c) => c === team).length);
+  return teams[counts.indexOf(Math.max(...counts))];
+}
+
+module.exports = {
+  BOARD_SIZE,
+  TEAMS,
+  TEAM_COLORS,
+  MAX_TEAMS,
+  MIN_BOARD_SIDE,
+  MAX_BOARD_SIDE,
+  BOARD_PRESETS,
+  hashSeed,
+  boardSeed,
+  createRandom,
+  shuffle,
+  normalizeGameKey,
+  resolveLayout,
+  generateBoard,
+  getStartingTeam
+};
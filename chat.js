@@ -0,0 +1,113 @@
+/**
+ * Чат комнаты: общий канал и канал своей команды. История хранится в состоянии игры
+ */
+
+const { normalizeWord, seesKey } = require("./gameState");
+
+const CHAT_CHANNELS = ["room", "team"];
+const MAX_CHAT_LENGTH = 300;
+const CHAT_HISTORY_LIMIT = 100;
+
+// Окончания русских слов от длинных к коротким: «кошкой», «кошки» и «кошка» сводятся к «КОШК»
+const ENDINGS = [
+  "ИЯМИ", "ЯМИ", "АМИ", "ОГО", "ЕГО", "ОМУ", "ЕМУ", "ЫМИ", "ИМИ", "ИЕЙ", "ИЯХ", "ЬЯХ",
+  "ОЙ", "ЕЙ", "ИЙ", "ЫЙ", "АЯ", "ЯЯ", "ОЕ", "ЕЕ", "ЫЕ", "ИЕ", "ЫХ", "ИХ", "УЮ", "ЮЮ",
+  "ОМ", "ЕМ", "АМ", "ЯМ", "АХ", "ЯХ", "ОВ", "ЕВ", "ИИ", "ИЯ", "ЬЯ", "ЬЮ", "ЬЕ", "ЬИ",
+  "А", "Я", "О", "Е", "Ы", "И", "У", "Ю", "Ь", "Й",
+];
+const MIN_STEM_LENGTH = 3;
+
+class ChatError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = "ChatError";
+    this.code = code;
+  }
+}
+
+/**
+ * Основа слова для сравнения разных форм
+ * @param {string} word - слово
+ * @returns {string}
+ */
+const stemWord = (word) => {
+  const normalized = normalizeWord(word);
+  const ending = ENDINGS.find((e) => normalized.endsWith(e) && normalized.length - e.length >= MIN_STEM_LENGTH);
+  // Мягкий знак внутри основы тоже выпадает: «ДЕНЬГИ» — «ДЕНЕГ»
+  return (ending ? normalized.slice(0, -ending.length) : normalized).replace(/[ЬЪ]/g, "");
+};
+
+// Беглая гласная: «КОШЕК» и «ОКОН» сводятся к основам «КОШК» и «ОКН»
+const dropFleetingVowel = (stem) => stem.replace(/[ОЕ](?=[^АЕИОУЫЭЮЯЬЙ]$)/, "");
+
+const splitWords = (text) => text.split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+
+/**
+ * Закрытые слова поля, которые встречаются в сообщении в любой форме.
+ * Слово поля из нескольких частей («ЧЁРНАЯ ДЫРА») ищется по каждой части
+ * @param {Object} game - состояние игры
+ * @param {string} text - текст сообщения
+ * @returns {string[]} - слова поля
+ */
+const findBoardWords = (game, text) => {
+  const stems = splitWords(text).flatMap((word) => {
+    const stem = stemWord(word);
+    return [stem, dropFleetingVowel(stem)];
+  });
+
+  return game.words.filter((boardWord, i) => {
+    if (game.revealed[i]) return false;
+    return splitWords(boardWord).some((part) => {
+      const stem = stemWord(part);
+      // Короткие основы сравниваем целиком, иначе «КОТ» запретил бы «КОТЛЕТУ»
+      return stems.some((s) => s === stem || (stem.length > MIN_STEM_LENGTH && s.startsWith(stem)));
+    });
+  });
+};
+
+/**
+ * Сообщение в чат. Тот, кто видит ключ (капитан, в Дуэте — любой игрок), не может
+ * писать закрытые слова поля, пока идёт игра, чтобы случайно не подсказать партнёрам
+ * @param {Object} game - состояние игры
+ * @param {string} playerId - автор
+ * @param {{channel: string, text: string}} message - канал и текст
+ * @returns {Object} - записанное сообщение
+ * @throws {ChatError}
+ */
+const addChatMessage = (game, playerId, { channel, text }) => {
+  const player = game.players.get(playerId);
+  if (!player) {
+    throw new ChatError("NOT_IN_GAME", "Вы не в этой игре");
+  }
+
+  if (seesKey(game, player) && !game.gameOver && findBoardWords(game, text).length > 0) {
+    throw new ChatError("CLUE_LEAK", "Пока вы видите ключ, писать в чат закрытые слова с поля нельзя");
+  }
+
+  const last = game.chat[game.chat.length - 1];
+  const message = {
+    id: last ? last.id + 1 : 1,
+    channel,
+    team: channel === "team" ? player.team : null,
+    playerId,
+    name: player.name,
+    text,
+    timestamp: Date.now(),
+  };
+
+  game.chat.push(message);
+  if (game.chat.length > CHAT_HISTORY_LIMIT) {
+    game.chat.splice(0, game.chat.length - CHAT_HISTORY_LIMIT);
+  }
+  return message;
+};
+
+module.exports = {
+  CHAT_CHANNELS,
+  MAX_CHAT_LENGTH,
+  CHAT_HISTORY_LIMIT,
+  ChatError,
+  stemWord,
+  findBoardWords,
+  addChatMessage,
+};
@@ -0,0 +1,572 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { BOARD_SIZE } = require('./boardGenerator');
+const { normalizeWord } = require('./gameState');
+const { defaultKeyService } = require('./keyGenerator');
+const { hashToken, generateToken, tokenMatches } = require('./adminAuth');
+const { logger } = require('./logger');
+
+const log = logger.child({ module: 'dictionaries' });
+
+const MAX_DICTIONARY_WORDS = 2000;
+const MAX_WORD_LENGTH = 24;
+// Буквы, или цифры, внутри — одиночные пробелы и дефисы (названия продуктов вроде «iPhone 15»)
+const WORD_PATTERN = /^[\p{L}\p{N}]+(?:[ -][\p{L}\p{N}]+)*$/u;
+// Буквы словарей — только согласные: гласную в конце легко принять за часть произносимого тела.
+// Й, Ъ и Ь не берём: их легко спутать или трудно набрать
+const SUFFIX_LETTERS = 'БВГДЖЗКЛМНПРСТФХЦЧШЩ'.split('');
+// Буквы удалённых словарей не выдаются снова, чтобы старые ключи не открыли чужой словарь
+const RETIRED_SUFFIXES_FILE = '.retired-suffixes.json';
+
+class DictionaryError extends Error {
+  constructor(code, message, status = 400, details = undefined) {
+    super(message);
+    this.name = 'DictionaryError';
+    this.code = code;
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/**
+ * Проверка и нормализация списка слов
+ * @param {string[]} rawWords - слова из запроса
+ * @returns {string[]} - слова в верхнем регистре
+ * @throws {DictionaryError} - со списком проблем в details
+ */
+function validateWords(rawWords) {
+  const problems = [];
+  const seen = new Map();
+  const words = [];
+
+  rawWords.forEach((raw, index) => {
+    const word = String(raw).trim().replace(/\s+/g, ' ').toUpperCase();
+    if (!WORD_PATTERN.test(word) || word.length > MAX_WORD_LENGTH) {
+      problems.push({ index, word: raw, reason: 'invalid_characters' });
+      return;
+    }
+
+    const normalized = normalizeWord(word);
+    if (seen.has(normalized)) {
+      problems.push({ index, word: raw, reason: 'duplicate', duplicateOf: seen.get(normalized) });
+      return;
+    }
+
+    seen.set(normalized, word);
+    words.push(word);
+  });
+
+  if (problems.length > 0) {
+    throw new DictionaryError('INVALID_DICTIONARY', 'Словарь содержит недопустимые слова', 400, problems);
+  }
+  if (words.length < BOARD_SIZE) {
+    throw new DictionaryError('INVALID_DICTIONARY',
+      `В словаре должно быть не меньше ${BOARD_SIZE} слов, получено: ${words.length}`);
+  }
+  if (words.length > MAX_DICTIONARY_WORDS) {
+    throw new DictionaryError('INVALID_DICTIONARY', `В словаре не больше ${MAX_DICTIONARY_WORDS} слов`);
+  }
+
+  return words;
+}
+
+class DictionaryRepository {
+  async loadAll() {
+    throw new Error('Method must be implemented');
+  }
+
+  async load(name) {
+    throw new Error('Method must be implemented');
+  }
+
+  /**
+   * Сохранение нового словаря
+   * @returns {Promise<boolean>} - false, если словарь с таким именем уже есть
+   */
+  async create(dictionary) {
+    throw new Error('Method must be implemented');
+  }
+
+  async save(dictionary) {
+    throw new Error('Method must be implemented');
+  }
+
+  /**
+   * Удаление словаря; его буква выводится из оборота навсегда
+   */
+  async remove(dictionary) {
+    throw new Error('Method must be implemented');
+  }
+
+  /**
+   * Закрепление буквы за словарём
+   * @returns {Promise<boolean>} - false, если букву уже занял другой словарь или она выведена
+   */
+  async claimSuffix(letter, name) {
+    return true;
+  }
+
+  // Буква словаря, который так и не удалось создать
+  async releaseSuffix(letter) {}
+
+  /**
+   * Подписка на изменения словарей другими экземплярами сервера
+   * @param {function(string): void} onChange - вызывается с именем словаря
+   */
+  async watch(onChange) {}
+
+  async close() {}
+}
+
+/**
+ * Каждый словарь — свой JSON-файл в папке data/dictionaries,
+ * выведенные буквы — в служебном файле там же (имя с точкой словарю не достаётся)
+ */
+class FileDictionaryRepository extends DictionaryRepository {
+  constructor(dirPath) {
+    super();
+    this.dirPath = dirPath;
+    // буква -> имя удалённого словаря
+    this.retired = null;
+  }
+
+  getFilePath(name) {
+    return path.join(this.dirPath, `${name}.json`);
+  }
+
+  async writeJson(filePath, data) {
+    await fs.mkdir(this.dirPath, { recursive: true });
+    // Имя временного файла своё у каждой записи: две записи не пишут в один файл
+    const tmpPath = `${filePath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    await fs.writeFile(tmpPath, JSON.stringify(data, null, 2));
+    await fs.rename(tmpPath, filePath);
+  }
+
+  async loadRetired() {
+    if (!this.retired) {
+      try {
+        this.retired = JSON.parse(await fs.readFile(path.join(this.dirPath, RETIRED_SUFFIXES_FILE), 'utf8'));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+        this.retired = {};
+      }
+    }
+    return this.retired;
+  }
+
+  async loadAll() {
+    let files;
+    try {
+      files = await fs.readdir(this.dirPath);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    const dictionaries = [];
+    for (const file of files.filter((f) => f.endsWith('.json') && !f.startsWith('.'))) {
+      try {
+        dictionaries.push(JSON.parse(await fs.readFile(path.join(this.dirPath, file), 'utf8')));
+      } catch (error) {
+        log.error('Error loading dictionary', { file, error });
+      }
+    }
+    return dictionaries;
+  }
+
+  async load(name) {
+    try {
+      return JSON.parse(await fs.readFile(this.getFilePath(name), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async create(dictionary) {
+    await this.save(dictionary);
+    return true;
+  }
+
+  async save(dictionary) {
+    await this.writeJson(this.getFilePath(dictionary.name), dictionary);
+  }
+
+  async remove(dictionary) {
+    const retired = await this.loadRetired();
+    retired[dictionary.suffix] = dictionary.name;
+    await this.writeJson(path.join(this.dirPath, RETIRED_SUFFIXES_FILE), retired);
+
+    try {
+      await fs.unlink(this.getFilePath(dictionary.name));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+
+  // Занятые буквы видны по KeyService, здесь остаётся проверить выведенные
+  async claimSuffix(letter) {
+    return !Object.prototype.hasOwnProperty.call(await this.loadRetired(), letter);
+  }
+}
+
+/**
+ * Словари в Redis, общие для всех экземпляров сервера: словарь — поле хэша с JSON,
+ * буквы закрепляются в отдельном хэше через HSETNX и остаются там после удаления
+ * словаря. Об изменениях экземпляры сообщают друг другу через канал,
+ * чтобы обновить словари в памяти
+ */
+class RedisDictionaryRepository extends DictionaryRepository {
+  constructor(redis, prefix = 'codenames:') {
+    super();
+    this.redis = redis;
+    this.subscriber = null;
+    this.dictionariesKey = `${prefix}dictionaries`;
+    this.suffixesKey = `${prefix}dictionaries:suffixes`;
+    this.channel = `${prefix}dictionaries:changed`;
+  }
+
+  async loadAll() {
+    const stored = await this.redis.hgetall(this.dictionariesKey);
+    const dictionaries = [];
+    Object.entries(stored).forEach(([name, raw]) => {
+      try {
+        dictionaries.push(JSON.parse(raw));
+      } catch (error) {
+        log.error('Error loading dictionary', { name, error });
+      }
+    });
+    return dictionaries;
+  }
+
+  async load(name) {
+    const raw = await this.redis.hget(this.dictionariesKey, name);
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  async create(dictionary) {
+    const created = await this.redis.hsetnx(this.dictionariesKey, dictionary.name, JSON.stringify(dictionary));
+    if (created === 1) {
+      await this.redis.publish(this.channel, dictionary.name);
+    }
+    return created === 1;
+  }
+
+  async save(dictionary) {
+    await this.redis.hset(this.dictionariesKey, dictionary.name, JSON.stringify(dictionary));
+    await this.redis.publish(this.channel, dictionary.name);
+  }
+
+  async remove(dictionary) {
+    await this.redis.hdel(this.dictionariesKey, dictionary.name);
+    await this.redis.publish(this.channel, dictionary.name);
+  }
+
+  async claimSuffix(letter, name) {
+    return (await this.redis.hsetnx(this.suffixesKey, letter, name)) === 1;
+  }
+
+  async releaseSuffix(letter) {
+    await this.redis.hdel(this.suffixesKey, letter);
+  }
+
+  async watch(onChange) {
+    // Подписанное соединение не может выполнять обычные команды, поэтому отдельное
+    this.subscriber = this.redis.duplicate();
+    this.subscriber.on('error', (error) => log.error('Dictionary subscriber error', { error }));
+    this.subscriber.on('message', (channel, name) => onChange(name));
+    await this.subscriber.subscribe(this.channel);
+  }
+
+  async close() {
+    await this.subscriber?.quit();
+  }
+}
+
+/**
+ * Пользовательские словари: загрузка, версии, приватный доступ по токену.
+ * Словари хранятся в репозитории (файлы или Redis), в памяти — их копия
+ * для синхронных проверок; каждый словарь получает букву для ключей игр
+ */
+class CustomDictionaryService {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.dirPath] - папка со словарями
+   * @param {DictionaryRepository} [options.repository] - хранилище, по умолчанию файлы в dirPath
+   * @param {KeyService} [options.keyService] - регистрация буквы словаря
+   * @param {string[]} [options.reservedNames] - имена встроенных словарей
+   */
+  constructor({
+    dirPath = path.join(__dirname, 'data', 'dictionaries'),
+    repository = new FileDictionaryRepository(dirPath),
+    keyService = defaultKeyService,
+    reservedNames = []
+  } = {}) {
+    this.repository = repository;
+    this.keyService = keyService;
+    this.reservedNames = new Set(['ai', 'room', ...reservedNames]);
+    this.dictionaries = new Map();
+    // имя словаря -> последняя операция записи (см. enqueue)
+    this.operations = new Map();
+  }
+
+  /**
+   * Операция записи словаря после предыдущих с тем же именем. Отказ одной операции
+   * не останавливает следующие
+   * @param {string} name - имя словаря
+   * @param {function(): Promise<*>} operation
+   * @returns {Promise<*>} - результат операции
+   */
+  enqueue(name, operation) {
+    const tail = (this.operations.get(name) || Promise.resolve()).catch(() => {}).then(operation);
+    this.operations.set(name, tail);
+    tail.catch(() => {}).then(() => {
+      if (this.operations.get(name) === tail) {
+        this.operations.delete(name);
+      }
+    });
+    return tail;
+  }
+
+  async loadAll() {
+    // Подписываемся до чтения, чтобы не пропустить изменения, сделанные во время загрузки
+    await this.repository.watch((name) => {
+      this.refresh(name).catch((error) => log.error('Error reloading dictionary', { name, error }));
+    });
+
+    const dictionaries = await this.repository.loadAll();
+    dictionaries.forEach((dictionary) => {
+      try {
+        this.remember(dictionary);
+      } catch (error) {
+        log.error('Error loading dictionary', { name: dictionary.name, error });
+      }
+    });
+    return this.dictionaries.size;
+  }
+
+  // Словарь в памяти и его буква в KeyService; буква не меняется между версиями
+  remember(dictionary) {
+    if (this.keyService.getSuffix(dictionary.name) !== dictionary.suffix) {
+      this.keyService.registerSuffix(dictionary.name, dictionary.suffix);
+    }
+    this.dictionaries.set(dictionary.name, dictionary);
+  }
+
+  forget(name) {
+    this.dictionaries.delete(name);
+    this.keyService.unregisterSuffix(name);
+  }
+
+  /**
+   * Перечитать словарь из репозитория (его мог изменить другой экземпляр)
+   * @param {string} name - имя словаря
+   */
+  async refresh(name) {
+    const dictionary = await this.repository.load(name);
+    if (dictionary) {
+      this.remember(dictionary);
+    } else if (this.dictionaries.has(name)) {
+      this.forget(name);
+    }
+  }
+
+  has(name) {
+    return this.dictionaries.has(name);
+  }
+
+  async allocateSuffix(name, requested) {
+    if (requested) {
+      if (!SUFFIX_LETTERS.includes(requested) || this.keyService.getType(requested)
+        || !(await this.repository.claimSuffix(requested, name))) {
+        throw new DictionaryError('SUFFIX_UNAVAILABLE', `Буква ${requested} недоступна`, 409);
+      }
+      return requested;
+    }
+
+    const letters = SUFFIX_LETTERS.filter((letter) => !this.keyService.getType(letter));
+    // Букву мог только что занять другой экземпляр сервера или она выведена — тогда берём следующую
+    for (const letter of letters) {
+      if (await this.repository.claimSuffix(letter, name)) {
+        return letter;
+      }
+    }
+    throw new DictionaryError('DICTIONARY_LIMIT', 'Свободных букв для словаря не осталось', 409);
+  }
+
+  /**
+   * Может ли запрос изменять словарь: токен владельца или администратор
+   */
+  canEdit(name, editToken, isAdmin = false) {
+    const dictionary = this.dictionaries.get(name);
+    return Boolean(dictionary) && (isAdmin || tokenMatches(editToken, dictionary.editTokenHash));
+  }
+
+  /**
+   * Виден ли словарь: публичный, либо передан токен доступа, либо владелец
+   */
+  canRead(name, shareToken, isAdmin = false) {
+    const dictionary = this.dictionaries.get(name);
+    if (!dictionary) return false;
+    return !dictionary.private || isAdmin
+      || tokenMatches(shareToken, dictionary.shareTokenHash)
+      || tokenMatches(shareToken, dictionary.editTokenHash);
+  }
+
+  /**
+   * Загрузка нового словаря или новой версии существующего
+   * @param {Object} upload - { name, title, words, private, suffix }
+   * @param {Object} [auth] - { editToken, isAdmin } для новой версии
+   * @returns {Promise<Object>} - описание словаря; для нового — с editToken и shareToken
+   */
+  async upload({ name, title, words: rawWords, private: isPrivate, suffix }, { editToken, isAdmin = false } = {}) {
+    const words = validateWords(rawWords);
+
+    // Загрузки и удаление одного словаря идут по очереди, иначе одновременные версии затрут друг друга
+    return this.enqueue(name, async () => {
+      await this.refresh(name);
+      const existing = this.dictionaries.get(name);
+      const created = new Date().toISOString();
+
+      if (existing) {
+        if (!this.canEdit(name, editToken, isAdmin)) {
+          throw new DictionaryError('NOT_ALLOWED', 'Словарь с таким именем уже есть, нужен токен владельца', 403);
+        }
+
+        const version = existing.versions[existing.versions.length - 1].version + 1;
+        const updated = {
+          ...existing,
+          title: title || existing.title,
+          private: isPrivate ?? existing.private,
+          versions: [...existing.versions, { version, words, created }]
+        };
+        let shareToken;
+        if (updated.private && !updated.shareTokenHash) {
+          shareToken = generateToken();
+          updated.shareTokenHash = hashToken(shareToken);
+        }
+
+        await this.repository.save(updated);
+        this.dictionaries.set(name, updated);
+        return { ...CustomDictionaryService.toSummary(updated), shareToken };
+      }
+
+      if (this.reservedNames.has(name) || this.keyService.getSuffix(name)) {
+        throw new DictionaryError('NAME_TAKEN', `Имя ${name} занято встроенным словарём`, 409);
+      }
+
+      const newEditToken = generateToken();
+      const shareToken = isPrivate ? generateToken() : undefined;
+      const dictionary = {
+        name,
+        title: title || name,
+        suffix: await this.allocateSuffix(name, suffix),
+        private: Boolean(isPrivate),
+        editTokenHash: hashToken(newEditToken),
+        shareTokenHash: shareToken ? hashToken(shareToken) : null,
+        created,
+        versions: [{ version: 1, words, created }]
+      };
+
+      try {
+        if (!(await this.repository.create(dictionary))) {
+          throw new DictionaryError('NOT_ALLOWED', 'Словарь с таким именем уже есть, нужен токен владельца', 403);
+        }
+      } catch (error) {
+        await this.repository.releaseSuffix(dictionary.suffix);
+        throw error;
+      }
+      this.remember(dictionary);
+
+      return { ...CustomDictionaryService.toSummary(dictionary), editToken: newEditToken, shareToken };
+    });
+  }
+
+  /**
+   * Слова словаря
+   * @param {string} name - имя словаря
+   * @param {number} [version] - версия, по умолчанию последняя
+   * @returns {{version: number, words: string[]}|null}
+   */
+  getVersion(name, version) {
+    const dictionary = this.dictionaries.get(name);
+    if (!dictionary) return null;
+    if (!version) return dictionary.versions[dictionary.versions.length - 1];
+    return dictionary.versions.find((v) => v.version === version) || null;
+  }
+
+  getSummary(name) {
+    const dictionary = this.dictionaries.get(name);
+    return dictionary ? CustomDictionaryService.toSummary(dictionary) : null;
+  }
+
+  /**
+   * Публичные словари
+   * @returns {Object[]}
+   */
+  listPublic() {
+    return [...this.dictionaries.values()]
+      .filter((dictionary) => !dictionary.private)
+      .map((dictionary) => CustomDictionaryService.toSummary(dictionary));
+  }
+
+  async remove(name) {
+    return this.enqueue(name, async () => {
+      const dictionary = this.dictionaries.get(name);
+      if (!dictionary) return false;
+
+      await this.repository.remove(dictionary);
+      this.forget(name);
+      return true;
+    });
+  }
+
+  async shutdown() {
+    await this.repository.close();
+  }
+
+  // Токены наружу не отдаются даже в виде хэшей
+  static toSummary(dictionary) {
+    const latest = dictionary.versions[dictionary.versions.length - 1];
+    return {
+      name: dictionary.name,
+      title: dictionary.title,
+      suffix: dictionary.suffix,
+      private: dictionary.private,
+      builtin: false,
+      version: latest.version,
+      versions: dictionary.versions.map((v) => v.version),
+      wordCount: latest.words.length,
+      created: dictionary.created,
+      updated: latest.created
+    };
+  }
+}
+
+class CustomDictionaryFactory {
+  /**
+   * @param {Redis} [redis] - клиент ioredis; с ним словари общие для всех экземпляров
+   * @returns {CustomDictionaryService}
+   */
+  static create(redis = null) {
+    const repository = redis
+      ? new RedisDictionaryRepository(redis, process.env.REDIS_PREFIX || 'codenames:')
+      : new FileDictionaryRepository(path.join(__dirname, 'data', 'dictionaries'));
+    return new CustomDictionaryService({ repository });
+  }
+}
+
+module.exports = {
+  CustomDictionaryService,
+  FileDictionaryRepository,
+  RedisDictionaryRepository,
+  CustomDictionaryFactory,
+  DictionaryError,
+  validateWords,
+  MAX_DICTIONARY_WORDS
+};
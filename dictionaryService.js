@@ -0,0 +1,129 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { defaultKeyService } = require('./keyGenerator');
+const { DictionaryError } = require('./customDictionaries');
+
+const DEFAULT_DICTIONARY = 'basic';
+const AI_DICTIONARY = 'ai';
+
+/**
+ * Сервис словарей, из которых сервер строит игровое поле
+ */
+class DictionaryService {
+  /**
+   * @param {AIGamesFileService} aiGamesFile - хранилище ИИ-игр
+   * @param {string} dictionariesDir - папка со встроенными словарями
+   * @param {KeyService} keyService - разбор буквы словаря в ключе
+   * @param {CustomDictionaryService} [customDictionaries] - загруженные пользователями словари
+   */
+  constructor(aiGamesFile, dictionariesDir = path.join(__dirname, 'dictionaries'), keyService = defaultKeyService,
+    customDictionaries = null) {
+    this.aiGamesFile = aiGamesFile;
+    this.dictionariesDir = dictionariesDir;
+    this.keyService = keyService;
+    this.customDictionaries = customDictionaries;
+    this.cache = new Map();
+  }
+
+  /**
+   * Встроенные словари из папки dictionaries
+   * @returns {Promise<Object[]>}
+   */
+  async listBuiltin() {
+    const files = await fs.readdir(this.dictionariesDir);
+    const names = files.filter((file) => file.endsWith('.json')).map((file) => file.slice(0, -5));
+
+    return Promise.all(names.map(async (name) => {
+      const data = JSON.parse(await fs.readFile(path.join(this.dictionariesDir, `${name}.json`), 'utf8'));
+      return {
+        name,
+        title: data.title || name,
+        suffix: this.keyService.getSuffix(name),
+        private: false,
+        builtin: true,
+        wordCount: data.words.length
+      };
+    }));
+  }
+
+  /**
+   * Загрузка встроенного словаря по имени
+   * @param {string} name - имя словаря (имя файла без .json)
+   * @returns {Promise<string[]>} - слова словаря
+   */
+  async loadDictionary(name) {
+    if (this.cache.has(name)) {
+      return this.cache.get(name);
+    }
+
+    if (!/^[a-z0-9_-]+$/i.test(name)) {
+      throw new Error(`Неизвестный словарь: ${name}`);
+    }
+
+    try {
+      const data = await fs.readFile(path.join(this.dictionariesDir, `${name}.json`), 'utf8');
+      const words = JSON.parse(data).words;
+      this.cache.set(name, words);
+      return words;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new Error(`Неизвестный словарь: ${name}`);
+      }
+      throw new Error(`Ошибка чтения словаря ${name}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Берутся ли слова игры из ИИ-игры с тем же ключом
+   * @param {string} gameKey - ключ игры
+   * @param {string} [dictionary] - имя словаря из опций клиента
+   * @returns {boolean}
+   */
+  isAIGame(gameKey, dictionary) {
+    return this.resolveDictionary(gameKey, dictionary) === AI_DICTIONARY;
+  }
+
+  /**
+   * Словарь игры: явно выбранный клиентом или заданный буквой в конце выданного ключа
+   * @param {string} gameKey - ключ игры
+   * @param {string} [dictionary] - имя словаря из опций клиента
+   * @returns {string}
+   */
+  resolveDictionary(gameKey, dictionary) {
+    if (dictionary) return dictionary;
+
+    const { type, generated } = this.keyService.parse(gameKey);
+    if (generated && type !== 'room') return type;
+    return DEFAULT_DICTIONARY;
+  }
+
+  /**
+   * Получение слов для игры: ИИ-ключ берёт слова своей ИИ-игры,
+   * остальные ключи — слова указанного словаря, словаря по букве ключа или базового
+   * @param {string} gameKey - ключ игры
+   * @param {string} [dictionary] - имя словаря из опций клиента
+   * @param {string} [shareToken] - токен доступа к приватному словарю
+   * @returns {Promise<string[]>}
+   */
+  async getWords(gameKey, dictionary, shareToken) {
+    if (this.isAIGame(gameKey, dictionary)) {
+      const aiGame = await this.aiGamesFile.getGame(gameKey);
+      if (!aiGame) {
+        throw new Error(`ИИ-игра не найдена: ${gameKey}`);
+      }
+      return aiGame.words;
+    }
+
+    const name = this.resolveDictionary(gameKey, dictionary);
+    if (this.customDictionaries && this.customDictionaries.has(name)) {
+      if (!this.customDictionaries.canRead(name, shareToken)) {
+        throw new DictionaryError('NOT_ALLOWED', `Словарь ${name} приватный, нужен токен доступа`, 403);
+      }
+      return this.customDictionaries.getVersion(name).words;
+    }
+
+    return this.loadDictionary(name);
+  }
+}
+
+module.exports = DictionaryService;
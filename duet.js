@@ -0,0 +1,190 @@
+/**
+ * Кооперативный режим «Дуэт»: две стороны с разными картами-ключами,
+ * общие жетоны ходов и по три убийцы на каждой стороне
+ */
+
+const { boardSeed, createRandom, shuffle } = require("./boardGenerator");
+
+const DUET_SIDES = ["a", "b"];
+const DUET_TURNS = 9;
+const DUET_BOARD_SIZE = 25;
+
+// Раскладка ключей [сторона a, сторона b, сколько карт]: у каждой стороны 9 агентов,
+// 3 убийцы и 13 мирных жителей, часть карт совпадает на обеих сторонах
+const DUET_KEY_LAYOUT = [
+  ["green", "green", 3],
+  ["green", "neutral", 5],
+  ["neutral", "green", 5],
+  ["green", "black", 1],
+  ["black", "green", 1],
+  ["black", "black", 1],
+  ["black", "neutral", 1],
+  ["neutral", "black", 1],
+  ["neutral", "neutral", 7],
+];
+
+const getPartnerSide = (side) => (side === DUET_SIDES[0] ? DUET_SIDES[1] : DUET_SIDES[0]);
+
+/**
+ * Карты-ключи обеих сторон; на одном сервере одинаковые ключ игры и номер партии дают одинаковые ключи
+ * @param {string} gameKey - ключ игры
+ * @param {number} [round] - номер партии на этом ключе
+ * @returns {{a: string[], b: string[]}}
+ */
+function generateDuetKeys(gameKey, round = 1) {
+  const random = createRandom(boardSeed(gameKey, `#${round}#duet`));
+  const cards = shuffle(DUET_KEY_LAYOUT.flatMap(([a, b, count]) => Array(count).fill([a, b])), random);
+  return {
+    a: cards.map(([a]) => a),
+    b: cards.map(([, b]) => b),
+  };
+}
+
+/**
+ * Поля состояния, которых нет в классической игре
+ * @param {{a: string[], b: string[]}} keys - карты-ключи
+ * @returns {Object}
+ */
+const createDuetFields = (keys) => ({
+  keys,
+  // Карты, оказавшиеся мирными жителями по ключу стороны: по нему их больше не открывают
+  bystanders: { a: [], b: [] },
+  turnsLeft: DUET_TURNS,
+  // { reason: 'assassin'|'time', cardIndex, side }, если партия проиграна
+  duetLoss: null,
+});
+
+const countRemaining = (game, side) =>
+  game.keys[side].filter((color, i) => color === "green" && !game.revealed[i]).length;
+
+/**
+ * Остаток агентов и итог партии: победа — все 15 агентов найдены,
+ * поражение — убийца или ошибка после того, как жетоны кончились
+ * @param {Object} game - состояние игры
+ */
+const calculateDuetState = (game) => {
+  const remainingCards = {
+    a: countRemaining(game, "a"),
+    b: countRemaining(game, "b"),
+    total: game.words.filter((word, i) =>
+      !game.revealed[i] && (game.keys.a[i] === "green" || game.keys.b[i] === "green")).length,
+  };
+  const isWin = remainingCards.total === 0;
+  const gameOver = isWin || Boolean(game.duetLoss) || Boolean(game.endedByAdmin);
+  const winner = isWin ? "players" : game.duetLoss ? game.duetLoss.reason : null;
+
+  Object.assign(game, { remainingCards, gameOver, winner });
+};
+
+// Жетоны кончились: подсказок больше нет, обе стороны открывают карты по ключу напарника
+const isSuddenDeath = (game) => game.turnsLeft === 0;
+
+/**
+ * Конец хода тратит жетон. Подсказку даёт другая сторона, если на её ключе
+ * ещё остались агенты
+ * @param {Object} game - состояние игры
+ */
+const passDuetTurn = (game) => {
+  game.turnsLeft = Math.max(0, game.turnsLeft - 1);
+  const partner = getPartnerSide(game.currentTeam);
+  if (countRemaining(game, partner) > 0) {
+    game.currentTeam = partner;
+  }
+  game.currentClue = null;
+  game.guessesLeft = 0;
+  game.turnNumber++;
+};
+
+/**
+ * Можно ли открыть карту стороне side: мирного жителя по ключу напарника второй раз не открывают
+ * @param {Object} game - состояние игры
+ * @param {number} cardIndex - индекс карты
+ * @param {string} [side] - сторона, которая открывает
+ * @returns {boolean}
+ */
+const isDuetCardOpen = (game, cardIndex, side) =>
+  !game.revealed[cardIndex] && !(DUET_SIDES.includes(side) && game.bystanders[getPartnerSide(side)].includes(cardIndex));
+
+/**
+ * Может ли игрок открывать карты: после подсказки — сторона, которая её получила,
+ * когда жетоны кончились — обе стороны
+ * @param {Object} game - состояние игры
+ * @param {Object} player - игрок
+ * @returns {boolean}
+ */
+const isDuetGuesser = (game, player) =>
+  DUET_SIDES.includes(player.team) && (isSuddenDeath(game) || player.team !== game.currentTeam);
+
+const isDuetClueGiver = (game, player) => !isSuddenDeath(game) && player.team === game.currentTeam;
+
+/**
+ * Открытие карты по ключу напарника: агент — угадывание продолжается,
+ * мирный житель — ход переходит (после конца жетонов это поражение), убийца — поражение
+ * @param {Object} game - состояние игры
+ * @param {number} cardIndex - индекс карты
+ * @param {string} side - сторона, которая открывает
+ */
+const revealDuetCard = (game, cardIndex, side) => {
+  const keySide = getPartnerSide(side);
+  const color = game.keys[keySide][cardIndex];
+
+  if (color === "green") {
+    game.revealed[cardIndex] = true;
+    // Агентов по этому ключу больше нет — подсказывать нечего
+    if (!isSuddenDeath(game) && countRemaining(game, keySide) === 0) {
+      passDuetTurn(game);
+    }
+  } else if (color === "black") {
+    game.revealed[cardIndex] = true;
+    game.duetLoss = { reason: "assassin", cardIndex, side };
+  } else if (isSuddenDeath(game)) {
+    game.bystanders[keySide].push(cardIndex);
+    game.duetLoss = { reason: "time", cardIndex, side };
+  } else {
+    game.bystanders[keySide].push(cardIndex);
+    passDuetTurn(game);
+  }
+
+  calculateDuetState(game);
+};
+
+/**
+ * Представление для игрока: своя карта-ключ целиком, ключ напарника — только
+ * после окончания игры. Зрители видят ключи, если им открыт вид капитана
+ * @param {Object} game - состояние игры
+ * @param {Object|null} player - игрок
+ * @param {boolean} revealColors - показать оба ключа
+ * @returns {Object}
+ */
+const projectDuetState = (game, player, revealColors) => {
+  const seesAll = game.gameOver || revealColors;
+  const assassinIndex = game.duetLoss?.reason === "assassin" ? game.duetLoss.cardIndex : -1;
+
+  return {
+    // Открытые карты одинаковы для всех: найденные агенты и убийца, на котором закончилась игра
+    colors: game.revealed.map((isRevealed, i) => (i === assassinIndex ? "black" : isRevealed ? "green" : null)),
+    keys: Object.fromEntries(DUET_SIDES.map((side) =>
+      [side, seesAll || player?.team === side ? game.keys[side] : null])),
+    bystanders: game.bystanders,
+    turnsLeft: game.turnsLeft,
+    suddenDeath: isSuddenDeath(game),
+    duetLoss: game.duetLoss,
+  };
+};
+
+module.exports = {
+  DUET_SIDES,
+  DUET_TURNS,
+  DUET_BOARD_SIZE,
+  DUET_KEY_LAYOUT,
+  getPartnerSide,
+  generateDuetKeys,
+  createDuetFields,
+  calculateDuetState,
+  passDuetTurn,
+  isDuetCardOpen,
+  isDuetGuesser,
+  isDuetClueGiver,
+  revealDuetCard,
+  projectDuetState,
+};
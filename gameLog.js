@@ -0,0 +1,219 @@
+/**
+ * Журнал событий игры: запись ходов, отмена последнего хода и данные для повтора партии
+ */
+
+const {
+  getTeams,
+  calculateDerivedState,
+  createNewGameState,
+  passTurn,
+  giveClue,
+  revealCard,
+} = require("./gameState");
+
+// События, меняющие состояние поля; состояние всегда можно собрать заново из них.
+// restore новыми ходами не пишется, но остаётся в журналах старых партий
+const ACTION_TYPES = ["reveal", "clue", "end_turn", "turn_timeout", "restore"];
+const UNDOABLE_TYPES = ["reveal", "clue", "end_turn", "turn_timeout"];
+
+/**
+ * Добавление события в журнал игры
+ * @param {Object} game - состояние игры
+ * @param {string} type - тип события
+ * @param {string|null} playerId - кто совершил действие (null — сервер)
+ * @param {Object} [payload] - данные события
+ * @returns {Object} - записанное событие
+ */
+const recordEvent = (game, type, playerId, payload = {}) => {
+  const event = { seq: game.events.length, type, playerId, timestamp: Date.now(), ...payload };
+  game.events.push(event);
+  return event;
+};
+
+const applyAction = (game, event) => {
+  switch (event.type) {
+    case "reveal":
+      revealCard(game, event.cardIndex, event.team);
+      break;
+    case "clue":
+      giveClue(game, { word: event.word, number: event.number }, event.timestamp);
+      break;
+    case "end_turn":
+    case "turn_timeout":
+      passTurn(game);
+      break;
+    case "restore":
+      event.revealed.forEach((index) => {
+        game.revealed[index] = true;
+      });
+      if (event.currentTeam) {
+        game.currentTeam = event.currentTeam;
+      }
+      calculateDerivedState(game);
+      break;
+  }
+};
+
+/**
+ * Выполнение хода с записью в журнал
+ * @param {Object} game - состояние игры
+ * @param {string} type - тип действия из ACTION_TYPES
+ * @param {string|null} playerId - кто совершил действие
+ * @param {Object} [payload] - данные действия
+ */
+const performAction = (game, type, playerId, payload = {}) => {
+  const wasOver = game.gameOver;
+  const event = { seq: game.events.length, type, playerId, timestamp: Date.now(), ...payload };
+
+  // Сначала применяем: если ход недопустим, в журнал он не попадёт
+  applyAction(game, event);
+  game.events.push(event);
+  game.undoVote = null;
+
+  if (!wasOver && game.gameOver) {
+    recordEvent(game, "game_over", null, { winner: game.winner });
+  }
+};
+
+const getUndoTarget = (game) => {
+  const undone = new Set(game.events.filter((e) => e.type === "undo").map((e) => e.target));
+  for (let i = game.events.length - 1; i >= 0; i--) {
+    const event = game.events[i];
+    if (UNDOABLE_TYPES.includes(event.type) && !undone.has(event.seq)) {
+      return event;
+    }
+    // Отменять можно только подряд с конца: восстановление из клиента откатить нельзя
+    if (event.type === "restore") {
+      return null;
+    }
+  }
+  return null;
+};
+
+/**
+ * Пересборка состояния поля из журнала с учётом отменённых ходов
+ * @param {Object} game - состояние игры
+ */
+const rebuildGame = (game) => {
+  const fresh = createNewGameState(null, game);
+  const undone = new Set(game.events.filter((e) => e.type === "undo").map((e) => e.target));
+
+  game.events
+    .filter((e) => ACTION_TYPES.includes(e.type) && !undone.has(e.seq))
+    .forEach((e) => applyAction(fresh, e));
+
+  const { revealed, eliminated, currentTeam, currentClue, guessesLeft, clues, turnNumber } = fresh;
+  Object.assign(game, { revealed, eliminated, currentTeam, currentClue, guessesLeft, clues, turnNumber });
+  if (game.mode === "duet") {
+    const { bystanders, turnsLeft, duetLoss } = fresh;
+    Object.assign(game, { bystanders, turnsLeft, duetLoss });
+  }
+  calculateDerivedState(game);
+};
+
+/**
+ * Голос за отмену последнего хода. Создатель комнаты отменяет сразу,
+ * остальным нужно большинство игроков в комнате
+ * @param {Object} game - состояние игры
+ * @param {string} playerId - кто голосует
+ * @returns {{undone: boolean, votes: number, needed: number}}
+ */
+const voteUndo = (game, playerId) => {
+  const target = getUndoTarget(game);
+  if (!target) {
+    throw new Error("Нечего отменять");
+  }
+
+  if (!game.undoVote || game.undoVote.target !== target.seq) {
+    game.undoVote = { target: target.seq, voters: [] };
+  }
+  if (!game.undoVote.voters.includes(playerId)) {
+    game.undoVote.voters.push(playerId);
+  }
+
+  const votes = game.undoVote.voters.length;
+  const needed = Math.floor(game.players.size / 2) + 1;
+
+  if (playerId !== game.ownerId && votes < needed) {
+    return { undone: false, votes, needed };
+  }
+
+  recordEvent(game, "undo", playerId, { target: target.seq, voters: game.undoVote.voters });
+  game.undoVote = null;
+  rebuildGame(game);
+  return { undone: true, votes, needed };
+};
+
+/**
+ * Журнал для повтора партии. Цвета закрытых карт отдаются только после окончания игры
+ * @param {string} gameKey - ключ игры
+ * @param {Object} game - состояние игры
+ * @returns {Object}
+ */
+const getReplay = (gameKey, game) => {
+  const startState = createNewGameState(null, game);
+  return {
+    gameKey,
+    mode: game.mode || "classic",
+    words: game.words,
+    colors: game.gameOver ? game.colors : null,
+    ...(game.mode === "duet" && { keys: game.gameOver ? game.keys : null }),
+    teams: getTeams(game),
+    startingTeam: startState.currentTeam,
+    gameOver: game.gameOver,
+    winner: game.winner,
+    events: game.events,
+  };
+};
+
+/**
+ * Итог завершённой партии для статистики
+ * @param {Object} game - состояние игры
+ * @param {number} [now] - время окончания
+ * @returns {Object}
+ */
+const getOutcome = (game, now = Date.now()) => {
+  const common = {
+    durationMs: game.createdAt ? now - game.createdAt : null,
+    reveals: game.revealed.filter(Boolean).length,
+    turnSwitches: game.turnNumber - 1,
+    peakPlayers: game.peakPlayers || 0,
+  };
+
+  // В Дуэте команд-соперников нет: важно, выиграли ли игроки и сколько жетонов осталось
+  if (game.mode === "duet") {
+    return { mode: "duet", winner: game.winner, turnsLeft: game.turnsLeft, ...common };
+  }
+
+  const teams = getTeams(game);
+  const startingTeam = createNewGameState(null, game).currentTeam;
+  // Убийц на поле может быть несколько: берём последнего открытого
+  const assassinReveal = [...game.events].reverse()
+    .find((event) => event.type === "reveal" && game.colors[event.cardIndex] === "black");
+  // Последним убийцу открыла команда assassinTeam, победа достаётся единственной оставшейся
+  const assassinTeam = game.winner === "assassin" ? assassinReveal?.team || null : null;
+  const survivors = teams.filter((team) => team !== assassinTeam && !(game.eliminated || []).includes(team));
+  const winningTeam = game.winner === "assassin"
+    ? (assassinTeam && survivors.length === 1 ? survivors[0] : null)
+    : game.winner;
+
+  return {
+    winner: game.winner,
+    winningTeam,
+    assassinTeam,
+    startingTeam,
+    teams: teams.length,
+    ...common,
+  };
+};
+
+module.exports = {
+  ACTION_TYPES,
+  recordEvent,
+  performAction,
+  getUndoTarget,
+  rebuildGame,
+  voteUndo,
+  getReplay,
+  getOutcome,
+};
@@ -0,0 +1,187 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+const log = logger.child({ module: 'persistence' });
+
+class GameStateRepository {
+  async loadAll() {
+    throw new Error('Method must be implemented');
+  }
+
+  async save(gameKey, snapshot) {
+    throw new Error('Method must be implemented');
+  }
+
+  async delete(gameKey) {
+    throw new Error('Method must be implemented');
+  }
+}
+
+/**
+ * Хранение снимков игр в папке: по одному JSON-файлу на игру
+ */
+class FileGameStateRepository extends GameStateRepository {
+  constructor(dirPath) {
+    super();
+    this.dirPath = dirPath;
+  }
+
+  getFilePath(gameKey) {
+    return path.join(this.dirPath, `${encodeURIComponent(gameKey)}.json`);
+  }
+
+  async loadAll() {
+    let files;
+    try {
+      files = await fs.readdir(this.dirPath);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    const snapshots = [];
+    for (const file of files.filter((f) => f.endsWith('.json'))) {
+      try {
+        const data = await fs.readFile(path.join(this.dirPath, file), 'utf8');
+        snapshots.push(JSON.parse(data));
+      } catch (error) {
+        log.error('Error loading game snapshot', { file, error });
+      }
+    }
+    return snapshots;
+  }
+
+  async save(gameKey, snapshot) {
+    await fs.mkdir(this.dirPath, { recursive: true });
+    // Пишем во временный файл и переименовываем, чтобы сбой не оставил обрезанный JSON.
+    // Имя временного файла своё у каждой записи: две записи не пишут в один файл
+    const filePath = this.getFilePath(gameKey);
+    const tmpPath = `${filePath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    await fs.writeFile(tmpPath, JSON.stringify(snapshot));
+    await fs.rename(tmpPath, filePath);
+  }
+
+  async delete(gameKey) {
+    try {
+      await fs.unlink(this.getFilePath(gameKey));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  }
+}
+
+/**
+ * Отложенное сохранение активных игр: частые изменения одной игры
+ * схлопываются в одну запись, а записи и удаление одной игры идут по очереди
+ */
+class GamePersistenceService {
+  constructor(repository, debounceMs = 1000) {
+    this.repository = repository;
+    this.debounceMs = debounceMs;
+    this.pending = new Map();
+    // ключ игры -> последняя операция с её файлом
+    this.operations = new Map();
+  }
+
+  /**
+   * Операция с файлом игры после предыдущих: удаление не обгонит запись,
+   * начатую раньше, и запись не вернёт удалённую игру
+   * @param {string} gameKey - ключ игры
+   * @param {function(): Promise<void>} operation - не должна отклоняться
+   * @returns {Promise<void>}
+   */
+  enqueue(gameKey, operation) {
+    const tail = (this.operations.get(gameKey) || Promise.resolve()).then(operation);
+    this.operations.set(gameKey, tail);
+    tail.then(() => {
+      if (this.operations.get(gameKey) === tail) {
+        this.operations.delete(gameKey);
+      }
+    });
+    return tail;
+  }
+
+  async loadAll() {
+    try {
+      return await this.repository.loadAll();
+    } catch (error) {
+      log.error('Error loading games', { error });
+      return [];
+    }
+  }
+
+  /**
+   * Запланировать сохранение игры
+   * @param {string} gameKey - ключ игры
+   * @param {function(): Object} getSnapshot - снимок берётся в момент записи
+   */
+  scheduleSave(gameKey, getSnapshot) {
+    const entry = this.pending.get(gameKey);
+    if (entry) {
+      entry.getSnapshot = getSnapshot;
+      return;
+    }
+
+    const timeout = setTimeout(() => this.flush(gameKey), this.debounceMs);
+    this.pending.set(gameKey, { timeout, getSnapshot });
+  }
+
+  async flush(gameKey) {
+    const entry = this.pending.get(gameKey);
+    if (!entry) return;
+
+    clearTimeout(entry.timeout);
+    this.pending.delete(gameKey);
+
+    await this.enqueue(gameKey, async () => {
+      try {
+        await this.repository.save(gameKey, entry.getSnapshot());
+      } catch (error) {
+        log.error('Error saving game', { gameKey, error });
+      }
+    });
+  }
+
+  async remove(gameKey) {
+    const entry = this.pending.get(gameKey);
+    if (entry) {
+      clearTimeout(entry.timeout);
+      this.pending.delete(gameKey);
+    }
+
+    await this.enqueue(gameKey, async () => {
+      try {
+        await this.repository.delete(gameKey);
+      } catch (error) {
+        log.error('Error deleting game', { gameKey, error });
+      }
+    });
+  }
+
+  async shutdown() {
+    await Promise.all([...this.pending.keys()].map((gameKey) => this.flush(gameKey)));
+    await Promise.all(this.operations.values());
+  }
+}
+
+class GamePersistenceFactory {
+  static create(dataDir = 'data') {
+    const gamesDirPath = path.join(__dirname, dataDir, 'games');
+    const repository = new FileGameStateRepository(gamesDirPath);
+    const debounceMs = Number(process.env.GAME_SAVE_DEBOUNCE_MS) || 1000;
+    return new GamePersistenceService(repository, debounceMs);
+  }
+}
+
+module.exports = {
+  GameStateRepository,
+  FileGameStateRepository,
+  GamePersistenceService,
+  GamePersistenceFactory
+};
@@ -0,0 +1,450 @@
+/**
+ * Состояние игровой комнаты и его представление для игроков
+ */
+
+const { TEAMS, getStartingTeam, resolveLayout } = require("./boardGenerator");
+const {
+  DUET_SIDES,
+  createDuetFields,
+  calculateDuetState,
+  passDuetTurn,
+  isDuetCardOpen,
+  isDuetGuesser,
+  isDuetClueGiver,
+  revealDuetCard,
+  projectDuetState,
+} = require("./duet");
+
+const GAME_MODES = ["classic", "duet"];
+const ROLES = ["spymaster", "operative"];
+const MAX_CLUE_NUMBER = 9;
+
+// Снимки, сохранённые до появления режимов, — классические
+const isDuet = (game) => game.mode === "duet";
+
+const normalizeWord = (word) => String(word).trim().toUpperCase().replace(/Ё/g, "Е");
+
+/**
+ * Команды игры в порядке ходов; в снимках до появления нескольких команд их нет
+ * @param {Object} game - состояние игры
+ * @returns {string[]}
+ */
+const getTeams = (game) => game.teams || (isDuet(game) ? DUET_SIDES : TEAMS);
+
+const getActiveTeams = (game) => getTeams(game).filter((team) => !(game.eliminated || []).includes(team));
+
+/**
+ * Остаток карт каждой команды и итог партии. Команда, открывшая убийцу, выбывает.
+ * В игре двух команд это сразу решает партию (winner = "assassin"), а из трёх и более
+ * побеждает последняя оставшаяся команда
+ * @param {Object} game - состояние игры
+ */
+const calculateDerivedState = (game) => {
+  if (isDuet(game)) {
+    calculateDuetState(game);
+    return;
+  }
+
+  const { colors, revealed } = game;
+  const remainingCards = Object.fromEntries(getTeams(game).map((team) =>
+    [team, colors.filter((c, i) => c === team && !revealed[i]).length]));
+  const activeTeams = getActiveTeams(game);
+  // Убийца, про которого неизвестно, кто его открыл (восстановление по клиенту в старых журналах), заканчивает игру
+  const assassinsRevealed = colors.filter((c, i) => c === "black" && revealed[i]).length;
+  const isAssassinEnd = activeTeams.length <= 1 || assassinsRevealed > (game.eliminated || []).length;
+  const clearedTeam = activeTeams.find((team) => remainingCards[team] === 0) || null;
+  // Партию, остановленную администратором, ходы уже не продолжают
+  const gameOver = isAssassinEnd || Boolean(clearedTeam) || Boolean(game.endedByAdmin);
+  const lastTeam = getTeams(game).length > 2 && activeTeams.length === 1 ? activeTeams[0] : null;
+  const winner = clearedTeam || lastTeam || (isAssassinEnd ? "assassin" : null);
+
+  Object.assign(game, { remainingCards, gameOver, winner });
+};
+
+/**
+ * Новое состояние игры. В Дуэте вместо colors передаются карты-ключи сторон (см. duet.js).
+ * Раскладка (см. resolveLayout) по умолчанию классическая 5×5, команды — синие и красные
+ * @param {string|null} gameKey - ключ игры
+ * @param {Object} board - слова, раскладка и настройки комнаты
+ * @returns {Object}
+ */
+const createNewGameState = (gameKey, {
+  words, colors = null, keys = null, mode = "classic", layout = null, teams = TEAMS, dictionary, timers = {},
+  spymasterView = false, round = 1,
+}) => {
+  const game = {
+    mode,
+    // Номер партии на этом ключе: каждая новая партия получает своё поле
+    round,
+    layout: layout || resolveLayout(),
+    words,
+    colors: mode === "duet" ? null : colors,
+    dictionary,
+    revealed: Array(words.length).fill(false),
+    // Порядок ходов; после первой команды ходят следующие по списку, выбывшие пропускаются
+    teams: mode === "duet" ? DUET_SIDES : teams,
+    eliminated: [],
+    currentTeam: mode === "duet" ? DUET_SIDES[0] : getStartingTeam(colors, teams),
+    remainingCards: {},
+    gameOver: false,
+    winner: null,
+    // Текущая подсказка { team, word, number } и сколько попыток у команды осталось
+    currentClue: null,
+    guessesLeft: 0,
+    clues: [],
+    turnNumber: 1,
+    // Таймеры хода в секундах ({ clue, guess }) и их текущее состояние
+    timers: { clue: timers.clue || null, guess: timers.guess || null },
+    turnDeadline: null,
+    timerPausedRemaining: null,
+    timerPhaseId: null,
+    // Журнал событий (см. gameLog.js) и голосование за отмену хода
+    events: [],
+    undoVote: null,
+    ownerId: null,
+    // playerId -> команда, чей ключ этой раскладки видел игрок (см. recordKeyViewers)
+    keyViewers: {},
+    completionRecorded: false,
+    createdAt: Date.now(),
+    lastActivity: Date.now(),
+    // Наибольшее число одновременно подключённых игроков — для статистики
+    peakPlayers: 0,
+    // playerId -> { team, role, name, socketId, connected }
+    players: new Map(),
+    // Разрешён ли зрителям вид капитана (с задержкой, см. spectators.js) и сколько зрителей у каждого вида
+    spectatorSpymasterView: spymasterView,
+    spectators: { public: 0, spymaster: 0 },
+    // Последние сообщения чата (см. chat.js)
+    chat: [],
+    ...(mode === "duet" && createDuetFields(keys)),
+  };
+
+  calculateDerivedState(game);
+  return game;
+};
+
+/**
+ * Принудительное завершение партии администратором, без победителя
+ * @param {Object} game - состояние игры
+ */
+const forceEndGame = (game) => {
+  game.endedByAdmin = true;
+  game.currentClue = null;
+  game.guessesLeft = 0;
+  calculateDerivedState(game);
+};
+
+const passTurn = (game) => {
+  if (isDuet(game)) {
+    passDuetTurn(game);
+    return;
+  }
+
+  // Следующая по порядку команда, которая ещё не выбыла
+  const teams = getTeams(game);
+  const current = teams.indexOf(game.currentTeam);
+  const next = [...teams.slice(current + 1), ...teams.slice(0, current + 1)];
+  game.currentTeam = next.find((team) => getActiveTeams(game).includes(team)) || game.currentTeam;
+  game.currentClue = null;
+  game.guessesLeft = 0;
+  game.turnNumber++;
+};
+
+/**
+ * Подсказка капитана: одно слово, не совпадающее с закрытыми словами поля
+ * и не содержащее их, и число от 0 до 9; команда получает число + 1 попытку
+ * @param {Object} game - состояние игры
+ * @param {{word: string, number: number}} clue - подсказка
+ * @param {number} [timestamp] - время подсказки
+ */
+const giveClue = (game, { word, number }, timestamp = Date.now()) => {
+  if (game.gameOver) {
+    throw new Error("Игра окончена");
+  }
+  if (game.currentClue) {
+    throw new Error("Подсказка на этот ход уже дана");
+  }
+
+  const clueWord = normalizeWord(word || "");
+  if (!clueWord || /[\s-]/.test(clueWord)) {
+    throw new Error("Подсказка должна быть одним словом");
+  }
+  if (!Number.isInteger(number) || number < 0 || number > MAX_CLUE_NUMBER) {
+    throw new Error(`Число в подсказке должно быть от 0 до ${MAX_CLUE_NUMBER}`);
+  }
+
+  const clashes = game.words.some((boardWord, i) => {
+    if (game.revealed[i]) return false;
+    const normalized = normalizeWord(boardWord);
+    return normalized.includes(clueWord) || clueWord.includes(normalized);
+  });
+  if (clashes) {
+    throw new Error("Подсказка не может совпадать со словами на поле");
+  }
+
+  const clue = { team: game.currentTeam, word: clueWord, number, timestamp };
+  game.clues.push(clue);
+  game.currentClue = clue;
+  // В Дуэте угадывают, пока открываются агенты: число попыток не ограничено
+  game.guessesLeft = isDuet(game) ? null : number + 1;
+};
+
+/**
+ * Открытие карты: промах или последняя попытка передают ход, убийца выбивает команду из игры
+ * @param {Object} game - состояние игры
+ * @param {number} cardIndex - индекс карты
+ * @param {string} [team] - кто открывает; в Дуэте от этого зависит, по какому ключу проверять карту
+ */
+const revealCard = (game, cardIndex, team) => {
+  if (isDuet(game)) {
+    revealDuetCard(game, cardIndex, team);
+    return;
+  }
+
+  game.revealed[cardIndex] = true;
+  game.guessesLeft--;
+
+  const cardColor = game.colors[cardIndex];
+  if (cardColor === "black") {
+    game.eliminated = [...(game.eliminated || []), game.currentTeam];
+  }
+  if (cardColor !== game.currentTeam || game.guessesLeft <= 0) {
+    passTurn(game);
+  }
+
+  calculateDerivedState(game);
+};
+
+/**
+ * Можно ли открыть карту: в Дуэте ещё и не известный открывающему мирный житель
+ * @param {Object} game - состояние игры
+ * @param {number} cardIndex - индекс карты
+ * @param {string} [team] - команда (сторона) открывающего
+ * @returns {boolean}
+ */
+const isCardOpen = (game, cardIndex, team) =>
+  (isDuet(game) ? isDuetCardOpen(game, cardIndex, team) : !game.revealed[cardIndex]);
+
+/**
+ * Может ли игрок сейчас открывать карты и завершать ход (подсказка проверяется отдельно)
+ * @param {Object} game - состояние игры
+ * @param {Object} [player] - игрок
+ * @returns {boolean}
+ */
+const isGuesser = (game, player) => {
+  if (!player) return false;
+  if (isDuet(game)) return isDuetGuesser(game, player);
+  return player.role === "operative" && player.team === game.currentTeam;
+};
+
+const isClueGiver = (game, player) => {
+  if (!player) return false;
+  if (isDuet(game)) return isDuetClueGiver(game, player);
+  return player.role === "spymaster" && player.team === game.currentTeam;
+};
+
+// Цвета закрытых карт видят капитаны, а в Дуэте — каждый игрок (свою карту-ключ)
+const seesKey = (game, player) => {
+  if (!player) return false;
+  if (isDuet(game)) return DUET_SIDES.includes(player.team);
+  return player.role === "spymaster";
+};
+
+// Без подсказки карты открывают только в Дуэте, когда жетоны кончились
+const isClueRequired = (game) => !isDuet(game) || game.turnsLeft > 0;
+
+// Партия началась с первой подсказки или открытой карты; после её конца роли снова свободны
+const isGameInProgress = (game) => !game.gameOver && (game.clues.length > 0 || game.revealed.some(Boolean));
+
+/**
+ * Отметка игроков, которым сейчас открыт ключ раскладки. Увиденное не забывается,
+ * поэтому до новой раскладки такой игрок не садится отгадывать (см. canTakeSeat)
+ * @param {Object} game - состояние игры
+ */
+const recordKeyViewers = (game) => {
+  game.keyViewers = game.keyViewers || {};
+  game.players.forEach((player, playerId) => {
+    if (seesKey(game, player) && !game.keyViewers[playerId]) {
+      game.keyViewers[playerId] = player.team;
+    }
+  });
+};
+
+/**
+ * Можно ли игроку занять место: видевший ключ остаётся капитаном, а в Дуэте — на стороне, чей ключ видел.
+ * После конца партии все цвета открыты, и места свободны
+ * @param {Object} game - состояние игры
+ * @param {string} playerId - идентификатор игрока
+ * @param {{team: string, role: string}} seat - результат assignRole
+ * @returns {boolean}
+ */
+const canTakeSeat = (game, playerId, seat) => {
+  const seenTeam = game.keyViewers?.[playerId];
+  if (game.gameOver || !seenTeam) return true;
+  if (isDuet(game)) return seat.team === seenTeam;
+  return seat.role === "spymaster";
+};
+
+/**
+ * Проверка и выбор роли игрока: без команды игрок попадает в меньшую из невыбывших команд,
+ * на команду допускается только один капитан. В Дуэте командами служат стороны a и b,
+ * а роль не важна: каждый игрок и подсказывает, и угадывает
+ * @param {Object} game - состояние игры
+ * @param {string} playerId - идентификатор игрока
+ * @param {{team?: string, role?: string}} request - желаемые команда и роль
+ * @returns {{team: string, role: string}}
+ */
+const assignRole = (game, playerId, { team, role = "operative" } = {}) => {
+  if (!ROLES.includes(role)) {
+    throw new Error(`Неизвестная роль: ${role}`);
+  }
+
+  const others = [...game.players].filter(([id]) => id !== playerId).map(([, player]) => player);
+  const teams = getTeams(game);
+
+  if (!team) {
+    const candidates = isDuet(game) ? teams : getActiveTeams(game);
+    const sizes = candidates.map((t) => others.filter((p) => p.team === t).length);
+    team = candidates[sizes.indexOf(Math.min(...sizes))];
+  } else if (!teams.includes(team)) {
+    throw new Error(`Неизвестная команда: ${team}`);
+  }
+
+  if (isDuet(game)) {
+    return { team, role: "operative" };
+  }
+
+  if (role === "spymaster" && others.some((p) => p.team === team && p.role === "spymaster")) {
+    throw new Error("У этой команды уже есть капитан");
+  }
+
+  return { team, role };
+};
+
+/**
+ * Представление состояния для конкретного игрока: капитаны видят все цвета,
+ * агенты — только цвета открытых карт (после окончания игры открывается всё).
+ * Зрители передают playerId = null
+ * @param {Object} game - состояние игры
+ * @param {string|null} playerId - идентификатор игрока
+ * @param {Object} [options]
+ * @param {boolean} [options.revealColors] - показать все цвета (вид капитана для зрителей)
+ * @returns {Object}
+ */
+const projectGameState = (game, playerId, { revealColors = false } = {}) => {
+  const player = game.players.get(playerId) || null;
+  const seesAll = game.gameOver || revealColors || player?.role === "spymaster";
+
+  return {
+    mode: game.mode || "classic",
+    layout: game.layout || resolveLayout(),
+    words: game.words,
+    colors: isDuet(game) ? null : game.colors.map((color, i) => (seesAll || game.revealed[i] ? color : null)),
+    ...(isDuet(game) && projectDuetState(game, player, revealColors)),
+    revealed: game.revealed,
+    teams: getTeams(game),
+    eliminated: game.eliminated || [],
+    currentTeam: game.currentTeam,
+    remainingCards: game.remainingCards,
+    gameOver: game.gameOver,
+    winner: game.winner,
+    endedByAdmin: Boolean(game.endedByAdmin),
+    spectatorSpymasterView: Boolean(game.spectatorSpymasterView),
+    spectatorCount: countSpectators(game),
+    currentClue: game.currentClue,
+    guessesLeft: game.guessesLeft,
+    clues: game.clues,
+    timers: game.timers,
+    turnDeadline: game.turnDeadline,
+    timerPaused: game.timerPausedRemaining !== null,
+    timerRemaining: game.timerPausedRemaining,
+    serverTime: Date.now(),
+    ownerId: game.ownerId,
+    undoVote: game.undoVote,
+    // Канал команды видят только её игроки, зрители — только общий канал
+    chat: game.chat.filter((message) => message.channel === "room" || (player && message.team === player.team)),
+    players: [...game.players].map(([id, p]) => ({
+      id,
+      name: p.name,
+      team: p.team,
+      role: p.role,
+      connected: p.connected,
+    })),
+    you: player ? { id: playerId, name: player.name, team: player.team, role: player.role } : null,
+  };
+};
+
+const countSpectators = (game) => (game.spectators ? game.spectators.public + game.spectators.spymaster : 0);
+
+const countConnected = (game) => [...game.players.values()].filter((p) => p.connected).length;
+
+const updatePeakPlayers = (game) => {
+  game.peakPlayers = Math.max(game.peakPlayers || 0, countConnected(game));
+};
+
+/**
+ * Снимок игры для хранения. Игроки сохраняются без соединений: после
+ * перезапуска все считаются отключившимися, а таймер хода встаёт на паузу
+ * @param {string} gameKey - ключ игры
+ * @param {Object} game - состояние игры
+ * @returns {Object}
+ */
+const serializeGame = (gameKey, game) => {
+  const { players, turnDeadline, timerPausedRemaining, ...rest } = game;
+  const remaining = timerPausedRemaining ?? (turnDeadline !== null ? Math.max(0, turnDeadline - Date.now()) : null);
+
+  return {
+    ...rest,
+    players: [...players].map(([id, { team, role, name }]) => [id, { team, role, name }]),
+    gameKey,
+    turnDeadline: null,
+    timerPausedRemaining: remaining,
+    savedAt: Date.now(),
+  };
+};
+
+/**
+ * Восстановление игры из снимка
+ * @param {Object} snapshot - результат serializeGame
+ * @returns {{gameKey: string, game: Object}}
+ */
+const restoreGame = (snapshot) => {
+  const { gameKey, savedAt, players = [], ...fields } = snapshot;
+  const game = {
+    ...fields,
+    players: new Map(players.map(([id, p]) => [id, { ...p, socketId: null, connected: false }])),
+    spectators: { public: 0, spymaster: 0 },
+    chat: fields.chat || [],
+  };
+  calculateDerivedState(game);
+  return { gameKey, game };
+};
+
+module.exports = {
+  GAME_MODES,
+  ROLES,
+  MAX_CLUE_NUMBER,
+  normalizeWord,
+  getTeams,
+  calculateDerivedState,
+  createNewGameState,
+  forceEndGame,
+  passTurn,
+  giveClue,
+  revealCard,
+  isCardOpen,
+  isGuesser,
+  isClueGiver,
+  seesKey,
+  isClueRequired,
+  isGameInProgress,
+  recordKeyViewers,
+  canTakeSeat,
+  assignRole,
+  projectGameState,
+  countConnected,
+  countSpectators,
+  updatePeakPlayers,
+  serializeGame,
+  restoreGame,
+};
@@ -0,0 +1,356 @@
+/**
+ * Хранилище состояния комнат. MemoryGameStore держит игры в памяти процесса
+ * (со снимками на диск), RedisGameStore — в Redis, чтобы несколько экземпляров
+ * сервера за балансировщиком видели одни и те же комнаты
+ */
+
+const crypto = require('crypto');
+const { serializeGame, restoreGame } = require('./gameState');
+const { GamePersistenceFactory } = require('./gameRepository');
+const { logger } = require('./logger');
+
+const log = logger.child({ module: 'game-store' });
+
+// Снимает блокировку, только если она всё ещё наша: чужую, взятую после истечения TTL, не трогаем
+const RELEASE_LOCK_SCRIPT = `
+if redis.call('get', KEYS[1]) == ARGV[1] then
+  return redis.call('del', KEYS[1])
+end
+return 0`;
+
+// Продлевает блокировку, пока её держит тот же токен
+const EXTEND_LOCK_SCRIPT = `
+if redis.call('get', KEYS[1]) == ARGV[1] then
+  return redis.call('pexpire', KEYS[1], ARGV[2])
+end
+return 0`;
+
+// Запись игры только под своей блокировкой: если она истекла и её взял другой
+// экземпляр, устаревшее состояние не затирает его изменения
+const FENCED_SAVE_SCRIPT = `
+if redis.call('get', KEYS[1]) ~= ARGV[1] then
+  return 0
+end
+redis.call('set', KEYS[2], ARGV[2])
+redis.call('sadd', KEYS[3], ARGV[3])
+return 1`;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Очередь задач по ключу: задачи одной комнаты выполняются строго по одной
+ */
+class KeyedMutex {
+  constructor() {
+    this.tails = new Map();
+  }
+
+  async run(key, fn) {
+    const previous = this.tails.get(key) || Promise.resolve();
+    let release;
+    const current = new Promise((resolve) => {
+      release = resolve;
+    });
+    const tail = previous.then(() => current);
+    this.tails.set(key, tail);
+
+    await previous;
+    try {
+      return await fn();
+    } finally {
+      release();
+      if (this.tails.get(key) === tail) {
+        this.tails.delete(key);
+      }
+    }
+  }
+}
+
+class GameStore {
+  /**
+   * Подготовка хранилища
+   * @returns {Promise<Array<{gameKey: string, game: Object}>>} - игры, поднятые после перезапуска
+   */
+  async init() {
+    return [];
+  }
+
+  async get(gameKey) {
+    throw new Error('Method must be implemented');
+  }
+
+  async has(gameKey) {
+    throw new Error('Method must be implemented');
+  }
+
+  async save(gameKey, game) {
+    throw new Error('Method must be implemented');
+  }
+
+  async delete(gameKey) {
+    throw new Error('Method must be implemented');
+  }
+
+  async keys() {
+    throw new Error('Method must be implemented');
+  }
+
+  async count() {
+    throw new Error('Method must be implemented');
+  }
+
+  /**
+   * Все игры: [gameKey, game]
+   * @returns {Promise<Array<[string, Object]>>}
+   */
+  async entries() {
+    throw new Error('Method must be implemented');
+  }
+
+  /**
+   * Изменение комнаты под блокировкой: пока fn не завершится, другие
+   * изменения этой комнаты (в том числе с других экземпляров) ждут
+   * @param {string} gameKey - ключ игры
+   * @param {function(): Promise<*>} fn
+   * @returns {Promise<*>}
+   */
+  async withLock(gameKey, fn) {
+    throw new Error('Method must be implemented');
+  }
+
+  /**
+   * Аренда периодической задачи: true получает только один экземпляр за ttlMs
+   * @param {string} name - имя задачи
+   * @param {number} ttlMs - срок аренды
+   * @returns {Promise<boolean>}
+   */
+  async tryLease(name, ttlMs) {
+    throw new Error('Method must be implemented');
+  }
+
+  async shutdown() {}
+}
+
+/**
+ * Игры в памяти одного процесса; снимки откладываются на диск через GamePersistenceService
+ */
+class MemoryGameStore extends GameStore {
+  /**
+   * @param {GamePersistenceService} [persistence] - сохранение снимков между перезапусками
+   */
+  constructor(persistence = null) {
+    super();
+    this.persistence = persistence;
+    this.games = new Map();
+    this.mutex = new KeyedMutex();
+  }
+
+  async init() {
+    if (!this.persistence) return [];
+
+    const snapshots = await this.persistence.loadAll();
+    return snapshots.map((snapshot) => {
+      const restored = restoreGame(snapshot);
+      this.games.set(restored.gameKey, restored.game);
+      return restored;
+    });
+  }
+
+  async get(gameKey) {
+    return this.games.get(gameKey) || null;
+  }
+
+  async has(gameKey) {
+    return this.games.has(gameKey);
+  }
+
+  async save(gameKey, game) {
+    this.games.set(gameKey, game);
+    this.persistence?.scheduleSave(gameKey, () => serializeGame(gameKey, game));
+  }
+
+  async delete(gameKey) {
+    this.games.delete(gameKey);
+    await this.persistence?.remove(gameKey);
+  }
+
+  async keys() {
+    return [...this.games.keys()];
+  }
+
+  async count() {
+    return this.games.size;
+  }
+
+  async entries() {
+    return [...this.games];
+  }
+
+  withLock(gameKey, fn) {
+    return this.mutex.run(gameKey, fn);
+  }
+
+  async tryLease() {
+    return true;
+  }
+
+  async shutdown() {
+    await this.persistence?.shutdown();
+  }
+}
+
+// В Redis игра лежит целиком, вместе с сокетами игроков: их видят все экземпляры
+const encodeGame = (game) => JSON.stringify({ ...game, players: [...game.players] });
+
+const decodeGame = (raw) => {
+  const data = JSON.parse(raw);
+  return { ...data, players: new Map(data.players) };
+};
+
+/**
+ * Игры в Redis: строка JSON на игру, множество ключей для обхода
+ * и блокировки SET NX PX для изменений
+ */
+class RedisGameStore extends GameStore {
+  /**
+   * @param {Redis} redis - клиент ioredis
+   * @param {Object} [options]
+   * @param {string} [options.prefix] - префикс ключей (REDIS_PREFIX)
+   * @param {number} [options.lockTtlMs] - сколько живёт блокировка, если экземпляр упал, не сняв её
+   * @param {number} [options.lockWaitMs] - сколько ждать чужую блокировку
+   */
+  constructor(redis, { prefix = 'codenames:', lockTtlMs = 10000, lockWaitMs = 10000 } = {}) {
+    super();
+    this.redis = redis;
+    this.prefix = prefix;
+    this.lockTtlMs = lockTtlMs;
+    this.lockWaitMs = lockWaitMs;
+    // Свои задачи выстраиваем в очередь локально, чтобы не спорить за блокировку с собой же
+    this.mutex = new KeyedMutex();
+    // Токены блокировок, которые этот экземпляр держит сейчас: комната -> токен
+    this.lockTokens = new Map();
+  }
+
+  getGameKey(gameKey) {
+    return `${this.prefix}game:${gameKey}`;
+  }
+
+  get indexKey() {
+    return `${this.prefix}games`;
+  }
+
+  async get(gameKey) {
+    const raw = await this.redis.get(this.getGameKey(gameKey));
+    return raw ? decodeGame(raw) : null;
+  }
+
+  async has(gameKey) {
+    return (await this.redis.exists(this.getGameKey(gameKey))) === 1;
+  }
+
+  getLockKey(gameKey) {
+    return `${this.prefix}lock:${gameKey}`;
+  }
+
+  async save(gameKey, game) {
+    const token = this.lockTokens.get(gameKey);
+    if (!token) {
+      await this.redis.multi()
+        .set(this.getGameKey(gameKey), encodeGame(game))
+        .sadd(this.indexKey, gameKey)
+        .exec();
+      return;
+    }
+
+    const saved = await this.redis.eval(FENCED_SAVE_SCRIPT, 3,
+      this.getLockKey(gameKey), this.getGameKey(gameKey), this.indexKey,
+      token, encodeGame(game), gameKey);
+    if (saved !== 1) {
+      throw new Error(`Блокировка комнаты ${gameKey} истекла, изменения не сохранены`);
+    }
+  }
+
+  async delete(gameKey) {
+    await this.redis.multi()
+      .del(this.getGameKey(gameKey))
+      .srem(this.indexKey, gameKey)
+      .exec();
+  }
+
+  keys() {
+    return this.redis.smembers(this.indexKey);
+  }
+
+  count() {
+    return this.redis.scard(this.indexKey);
+  }
+
+  async entries() {
+    const keys = await this.keys();
+    if (keys.length === 0) return [];
+
+    const values = await this.redis.mget(keys.map((gameKey) => this.getGameKey(gameKey)));
+    return keys
+      .map((gameKey, i) => [gameKey, values[i] ? decodeGame(values[i]) : null])
+      .filter(([, game]) => game);
+  }
+
+  withLock(gameKey, fn) {
+    return this.mutex.run(gameKey, async () => {
+      const lockKey = this.getLockKey(gameKey);
+      const token = crypto.randomBytes(16).toString('hex');
+      const deadline = Date.now() + this.lockWaitMs;
+
+      while ((await this.redis.set(lockKey, token, 'PX', this.lockTtlMs, 'NX')) !== 'OK') {
+        if (Date.now() > deadline) {
+          throw new Error(`Не удалось заблокировать комнату ${gameKey}`);
+        }
+        await sleep(20 + Math.random() * 30);
+      }
+
+      // Пока задача выполняется, блокировка продлевается; TTL нужен только на случай падения экземпляра
+      const renewal = setInterval(() => {
+        this.redis.eval(EXTEND_LOCK_SCRIPT, 1, lockKey, token, this.lockTtlMs)
+          .then((extended) => {
+            if (extended !== 1) log.warn('Game lock lost', { gameKey });
+          })
+          .catch((error) => log.error('Error extending game lock', { gameKey, error }));
+      }, this.lockTtlMs / 3);
+      this.lockTokens.set(gameKey, token);
+
+      try {
+        return await fn();
+      } finally {
+        clearInterval(renewal);
+        this.lockTokens.delete(gameKey);
+        await this.redis.eval(RELEASE_LOCK_SCRIPT, 1, lockKey, token)
+          .catch((error) => log.error('Error releasing game lock', { gameKey, error }));
+      }
+    });
+  }
+
+  async tryLease(name, ttlMs) {
+    return (await this.redis.set(`${this.prefix}lease:${name}`, '1', 'PX', ttlMs, 'NX')) === 'OK';
+  }
+}
+
+class GameStoreFactory {
+  /**
+   * @param {Redis} [redis] - клиент ioredis; без него игры живут в памяти процесса
+   * @returns {GameStore}
+   */
+  static create(redis = null) {
+    if (redis) {
+      return new RedisGameStore(redis, { prefix: process.env.REDIS_PREFIX || 'codenames:' });
+    }
+    return new MemoryGameStore(GamePersistenceFactory.create());
+  }
+}
+
+module.exports = {
+  KeyedMutex,
+  GameStore,
+  MemoryGameStore,
+  RedisGameStore,
+  GameStoreFactory
+};
@@ -2,11 +2,59 @@ require('dotenv').config();
 const express = require("express");
 const { createServer } = require("http");
 const { Server } = require("socket.io");
+const Redis = require("ioredis");
+const { createAdapter } = require("@socket.io/redis-adapter");
 const path = require("path");
-const { GameStatsFactory } = require("./stats");
+const { GameStatsFactory, StatsPeriodManager } = require("./stats");
 const AIServerService = require('./aiServerService');
-const AIGamesFileService = require('./aiGamesFileService');
-const { generateAIKey } = require('./keyGenerator');
+const { AIGamesFileService, AIGamesServiceFactory } = require('./aiGamesFileService');
+const DictionaryService = require('./dictionaryService');
+const { CustomDictionaryFactory, DictionaryError } = require('./customDictionaries');
+const { AIGenerationService, AITopicStoreFactory } = require('./aiGenerationService');
+const { requireAdmin, isAdminToken, getRequestToken } = require('./adminAuth');
+const { defaultKeyService: keyService } = require('./keyGenerator');
+const { logger } = require('./logger');
+const {
+  registry: metricsRegistry,
+  socketEvents,
+  socketErrors,
+  cleanupRuns,
+  cleanupRemovedGames,
+} = require('./metrics');
+const { TokenBucket, KeyedRateLimiter, rateLimit } = require('./rateLimiter');
+const { BOARD_PRESETS, generateBoard, normalizeGameKey, resolveLayout } = require('./boardGenerator');
+const { normalizeTimerOptions, TurnTimerService } = require('./turnTimers');
+const { GameStoreFactory } = require('./gameStore');
+const { sessionMiddleware, PresenceTracker } = require('./playerSessions');
+const { SPECTATOR_VIEWS, SpectatorRegistry, getSpectatorRoom } = require('./spectators');
+const { ChatError, addChatMessage } = require('./chat');
+const { ValidationError, validate, validateRequest } = require('./validation');
+const { eventSchemas, routeSchemas } = require('./schemas');
+const {
+  createNewGameState,
+  assignRole,
+  projectGameState,
+  countConnected,
+  countSpectators,
+  updatePeakPlayers,
+  forceEndGame,
+  isCardOpen,
+  isGuesser,
+  isClueGiver,
+  isClueRequired,
+  isGameInProgress,
+  recordKeyViewers,
+  canTakeSeat,
+  getTeams,
+} = require('./gameState');
+const { DUET_BOARD_SIZE, generateDuetKeys } = require('./duet');
+const {
+  recordEvent,
+  performAction,
+  voteUndo,
+  getReplay,
+  getOutcome,
+} = require('./gameLog');
 
 const app = express();
 const httpServer = createServer(app);
@@ -17,15 +65,58 @@ const io = new Server(httpServer, {
   },
 });
 
-const gameStats = GameStatsFactory.create();
+// Без секрета раскладки цвета карт вычисляются по открытому ключу игры
+if (!process.env.BOARD_SECRET) {
+  if (process.env.NODE_ENV === "production") {
+    logger.error("BOARD_SECRET is required in production");
+    process.exit(1);
+  }
+  logger.warn("BOARD_SECRET is not set, boards are seeded with a random per-process secret");
+}
+
+// С REDIS_URL комнаты, статистика и рассылки Socket.IO общие для всех экземпляров сервера
+const redis = process.env.REDIS_URL ? new Redis(process.env.REDIS_URL) : null;
+const redisSubscriber = redis ? redis.duplicate() : null;
+if (redis) {
+  redis.on("error", (error) => logger.error("Redis error", { error }));
+  redisSubscriber.on("error", (error) => logger.error("Redis subscriber error", { error }));
+  io.adapter(createAdapter(redis, redisSubscriber, { key: `${process.env.REDIS_PREFIX || "codenames:"}socket.io` }));
+}
+
+const gameStats = GameStatsFactory.create('data', redis);
+const gameStore = GameStoreFactory.create(redis);
 const aiService = new AIServerService();
-const aiGamesFile = new AIGamesFileService();
+const aiGamesFile = AIGamesServiceFactory.create(redis);
+const customDictionaries = CustomDictionaryFactory.create(redis);
+const dictionaryService = new DictionaryService(aiGamesFile, undefined, keyService, customDictionaries);
+
+// Защита квоты ИИ: корзина на каждый IP, общая корзина и дневной бюджет
+const aiIpLimiter = new KeyedRateLimiter(
+  Number(process.env.AI_IP_BURST) || 5,
+  Number(process.env.AI_IP_PER_MINUTE) || 1
+);
+const aiGeneration = new AIGenerationService({
+  aiService,
+  aiGamesFile,
+  gameStats,
+  globalBucket: new TokenBucket(
+    Number(process.env.AI_GLOBAL_BURST) || 20,
+    Number(process.env.AI_GLOBAL_PER_MINUTE) || 10
+  ),
+  dailyBudget: Number(process.env.AI_DAILY_BUDGET) || 500,
+  dedupWindowMs: (Number(process.env.AI_DEDUP_WINDOW_MINUTES) || 30) * 60000,
+  topics: AITopicStoreFactory.create(redis)
+});
+
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', process.env.TRUST_PROXY === 'true' ? true : process.env.TRUST_PROXY);
+}
 
 // CORS middleware
 app.use((req, res, next) => {
   res.header('Access-Control-Allow-Origin', '*');
   res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization');
+  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization, X-Share-Token');
   
   if (req.method === 'OPTIONS') {
     res.sendStatus(200);
@@ -34,284 +125,1299 @@ app.use((req, res, next) => {
   }
 });
 
-app.use(express.json());
+// Словари бывают длинными, для них свой лимит тела запроса
+app.use('/api/dictionaries', express.json({ limit: '256kb' }));
+app.use(express.json({ limit: '32kb' }));
 app.use(express.static(path.join(__dirname, "public")));
 
 app.get("/", (req, res) => {
   res.sendFile(path.join(__dirname, "public", "index.html"));
 });
 
-app.get("/stats", (req, res) => {
-  res.json(gameStats.getStats());
+app.get("/stats", (req, res, next) => {
+  // Комнаты с ИИ-ключами — это сохранённые ИИ-игры, поэтому ИИ-ключи считаются числом игр
+  Promise.all([aiGamesFile.count(), gameStore.keys()]).then(([aiGameCount, gameKeys]) => {
+    res.json({
+      ...gameStats.getStats(gameKeys.length),
+      aiBudget: aiGeneration.getBudget(),
+      keyspace: keyService.getUsage(gameKeys, { ai: aiGameCount })
+    });
+  }).catch(next);
 });
 
-// Роут для отдачи AI игр файла
-app.get("/dictionaries/ai_games.json", (req, res) => {
-  res.sendFile(path.join(__dirname, "data", "ai_games.json"));
+// История статистики; по умолчанию последние 30 дней по дням
+const MAX_HISTORY_RANGE_DAYS = 3660;
+
+app.get("/stats/history", validateRequest('query', routeSchemas.statsHistoryQuery), (req, res) => {
+  const { granularity = 'day' } = req.validated.query;
+  const to = req.validated.query.to || StatsPeriodManager.getToday();
+  const from = req.validated.query.from || StatsPeriodManager.addDays(to, -29);
+
+  if (from > to || StatsPeriodManager.addDays(from, MAX_HISTORY_RANGE_DAYS) < to) {
+    return res.status(400).json({
+      success: false,
+      code: 'VALIDATION_ERROR',
+      field: 'from',
+      message: `from: диапазон должен быть от from до to и не длиннее ${MAX_HISTORY_RANGE_DAYS} дней`
+    });
+  }
+
+  res.json({
+    success: true,
+    ...gameStats.getHistory({ from, to, granularity })
+  });
+});
+
+// Роут для отдачи AI игр в формате файла ai_games.json (без хэшей токенов); с Redis файла на диске нет
+app.get("/dictionaries/ai_games.json", (req, res, next) => {
+  aiGamesFile.loadGames().then((games) => {
+    res.json(Object.fromEntries(Object.entries(games).map(([key, { editTokenHash, ...game }]) => [key, game])));
+  }).catch(next);
 });
 
+// Bearer-токен — это токен владельца (словаря или ИИ-игры) или административный токен
+const getOwnerAuth = (req) => {
+  const token = getRequestToken(req);
+  return { editToken: token, isAdmin: isAdminToken(token) };
+};
+
+// Ответ с ошибкой генерации в общем формате REST-ошибок
+const sendGenerationError = (res, error) => {
+  if (error.retryAfter) {
+    res.set('Retry-After', String(error.retryAfter));
+  }
+  res.status(error.status || 500).json({
+    success: false,
+    code: error.code || 'GENERATION_FAILED',
+    message: error.message
+  });
+};
+
 // API эндпоинт для генерации ИИ-слов
-app.post('/api/generate-words', async (req, res) => {
-  try {
-    const { topic } = req.body;
-    
-    if (!topic || !topic.trim()) {
+app.post('/api/generate-words',
+  rateLimit(aiIpLimiter),
+  validateRequest('body', routeSchemas.generateWords),
+  async (req, res) => {
+    let layout;
+    try {
+      layout = resolveLayout(req.validated.body.layout);
+    } catch (error) {
       return res.status(400).json({
         success: false,
-        message: 'Тема не указана'
+        code: 'VALIDATION_ERROR',
+        field: 'layout',
+        message: `layout: ${error.message}`
       });
     }
-    
-    // Генерируем уникальный ключ
-    let key;
-    let attempts = 0;
-    do {
-      key = generateAIKey();
-      attempts++;
-      if (attempts > 10) {
-        throw new Error('Не удалось сгенерировать уникальный ключ');
+
+    try {
+      const { topic } = req.validated.body;
+      const { key, words, rejected, reused, editToken } = await aiGeneration.generate(topic, layout.size);
+
+      res.json({
+        success: true,
+        key: key,
+        words: words,
+        topic: topic,
+        rejected: rejected,
+        reused: reused,
+        editToken: editToken
+      });
+
+    } catch (error) {
+      sendGenerationError(res, error);
+    }
+  }
+);
+
+const sendAIGameNotFound = (res) => {
+  res.status(404).json({
+    success: false,
+    code: 'GAME_NOT_FOUND',
+    message: 'Игра не найдена'
+  });
+};
+
+// Каталог сохранённых ИИ-игр: поиск по теме и постраничный вывод
+app.get('/api/ai-games', validateRequest('query', routeSchemas.aiGamesQuery), async (req, res) => {
+  try {
+    const page = await aiGamesFile.listGames(req.validated.query);
+    res.json({ success: true, ...page });
+  } catch (error) {
+    res.status(500).json({ success: false, code: 'STORAGE_ERROR', message: error.message });
+  }
+});
+
+app.get('/api/ai-games/:key', validateRequest('params', routeSchemas.gameKeyParams), async (req, res) => {
+  const key = normalizeGameKey(req.validated.params.key);
+  try {
+    const game = await aiGamesFile.getGame(key);
+    if (!game) {
+      return sendAIGameNotFound(res);
+    }
+
+    res.json({
+      success: true,
+      ...AIGamesFileService.toSummary(key, game),
+      words: game.words
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, code: 'STORAGE_ERROR', message: error.message });
+  }
+});
+
+// Новый набор слов по той же теме; ключ игры сохраняется. Нужен токен из ответа генерации
+app.post('/api/ai-games/:key/regenerate',
+  rateLimit(aiIpLimiter),
+  validateRequest('params', routeSchemas.gameKeyParams),
+  async (req, res) => {
+    try {
+      const key = normalizeGameKey(req.validated.params.key);
+      const { words, topic, rejected } = await aiGeneration.regenerate(key, getOwnerAuth(req));
+      res.json({ success: true, key, words, topic, rejected });
+    } catch (error) {
+      sendGenerationError(res, error);
+    }
+  }
+);
+
+app.delete('/api/ai-games/:key',
+  requireAdmin,
+  validateRequest('params', routeSchemas.gameKeyParams),
+  async (req, res) => {
+    const key = normalizeGameKey(req.validated.params.key);
+    try {
+      if (!(await aiGamesFile.deleteGame(key))) {
+        return sendAIGameNotFound(res);
       }
-    } while (await aiGamesFile.gameExists(key));
-    
-    // Генерируем слова через ИИ
-    const words = await aiService.generateWords(topic.trim());
-    
-    // Сохраняем игру в файл
-    await aiGamesFile.addGame(key, words, topic.trim());
-    
+      res.json({ success: true, key });
+    } catch (error) {
+      res.status(500).json({ success: false, code: 'STORAGE_ERROR', message: error.message });
+    }
+  }
+);
+
+// Загрузка словарей ограничена отдельно от генерации ИИ-слов
+const dictionaryUploadLimiter = new KeyedRateLimiter(10, 2);
+
+const sendDictionaryError = (res, error) => {
+  if (!(error instanceof DictionaryError)) {
+    return res.status(500).json({ success: false, code: 'STORAGE_ERROR', message: error.message });
+  }
+  res.status(error.status).json({
+    success: false,
+    code: error.code,
+    message: error.message,
+    details: error.details
+  });
+};
+
+const sendDictionaryNotFound = (res) => {
+  res.status(404).json({
+    success: false,
+    code: 'DICTIONARY_NOT_FOUND',
+    message: 'Словарь не найден'
+  });
+};
+
+
+app.get('/api/dictionaries', async (req, res) => {
+  try {
+    const builtin = await dictionaryService.listBuiltin();
+    res.json({ success: true, dictionaries: [...builtin, ...customDictionaries.listPublic()] });
+  } catch (error) {
+    sendDictionaryError(res, error);
+  }
+});
+
+app.get('/api/dictionaries/:name',
+  validateRequest('params', routeSchemas.dictionaryParams),
+  validateRequest('query', routeSchemas.dictionaryQuery),
+  (req, res) => {
+    const name = req.validated.params.name.toLowerCase();
+    const { version, shareToken } = req.validated.query;
+    const { editToken, isAdmin } = getOwnerAuth(req);
+
+    // Приватный словарь для чужих выглядит как несуществующий
+    if (!customDictionaries.canRead(name, shareToken || req.get('X-Share-Token') || editToken, isAdmin)) {
+      return sendDictionaryNotFound(res);
+    }
+
+    const selected = customDictionaries.getVersion(name, version);
+    if (!selected) {
+      return sendDictionaryNotFound(res);
+    }
+
     res.json({
       success: true,
-      key: key,
-      words: words,
-      topic: topic.trim()
+      ...customDictionaries.getSummary(name),
+      version: selected.version,
+      words: selected.words
     });
-    
+  }
+);
+
+// Новый словарь или новая версия существующего (с токеном владельца)
+app.post('/api/dictionaries',
+  rateLimit(dictionaryUploadLimiter),
+  validateRequest('body', routeSchemas.uploadDictionary),
+  async (req, res) => {
+    try {
+      const upload = { ...req.validated.body, name: req.validated.body.name.toLowerCase() };
+      const dictionary = await customDictionaries.upload(upload, getOwnerAuth(req));
+      // Токен владельца выдаётся только при создании словаря
+      res.status(dictionary.editToken ? 201 : 200).json({ success: true, ...dictionary });
+    } catch (error) {
+      sendDictionaryError(res, error);
+    }
+  }
+);
+
+app.delete('/api/dictionaries/:name', validateRequest('params', routeSchemas.dictionaryParams), async (req, res) => {
+  const name = req.validated.params.name.toLowerCase();
+  const { editToken, isAdmin } = getOwnerAuth(req);
+
+  if (!customDictionaries.has(name)) {
+    return sendDictionaryNotFound(res);
+  }
+  if (!customDictionaries.canEdit(name, editToken, isAdmin)) {
+    return res.status(403).json({
+      success: false,
+      code: 'NOT_ALLOWED',
+      message: 'Удалить словарь может только владелец'
+    });
+  }
+
+  try {
+    await customDictionaries.remove(name);
+    res.json({ success: true, name });
   } catch (error) {
-    res.status(500).json({
+    sendDictionaryError(res, error);
+  }
+});
+
+// Число комнат берётся из хранилища при каждом запросе /metrics
+const activeGamesGauge = metricsRegistry.gauge({
+  name: 'codenames_active_games',
+  help: 'Games currently held in the game store'
+});
+metricsRegistry.gauge({
+  name: 'codenames_connected_sockets',
+  help: 'Open Socket.IO connections',
+  collect: () => io.engine.clientsCount
+});
+metricsRegistry.gauge({
+  name: 'codenames_connected_players',
+  help: 'Players connected to a game on this instance',
+  collect: () => [...io.sockets.sockets.values()].filter((socket) => socket.data.gameKey).length
+});
+metricsRegistry.gauge({
+  name: 'codenames_connected_spectators',
+  help: 'Spectators watching a game on this instance',
+  collect: () => spectators.size
+});
+
+// Метрики для Prometheus; если задан METRICS_TOKEN, нужен заголовок Authorization: Bearer
+app.get('/metrics', (req, res, next) => {
+  if (process.env.METRICS_TOKEN && getRequestToken(req) !== process.env.METRICS_TOKEN) {
+    return res.status(401).json({
       success: false,
-      message: error.message
+      code: 'UNAUTHORIZED',
+      message: 'Требуется токен метрик'
     });
   }
+  gameStore.count().then((count) => {
+    activeGamesGauge.set(count);
+    res.type('text/plain; version=0.0.4').send(metricsRegistry.render());
+  }).catch(next);
 });
 
-const activeGames = new Map();
+// Свободный ключ для новой комнаты; буква в конце задаёт словарь
+app.post('/api/game-keys', validateRequest('body', routeSchemas.newGameKey), async (req, res) => {
+  const type = req.validated.body.dictionary || 'room';
+  if (type === 'ai' || !keyService.getSuffix(type)) {
+    return res.status(400).json({
+      success: false,
+      code: 'VALIDATION_ERROR',
+      field: 'dictionary',
+      message: 'dictionary: для этого словаря нельзя выдать ключ'
+    });
+  }
 
-const calculateDerivedState = (game) => {
-  const { colors, revealed } = game;
-  const remainingCards = {
-    blue: colors.reduce((sum, c, i) => sum + (c === "blue" && !revealed[i] ? 1 : 0), 0),
-    red: colors.reduce((sum, c, i) => sum + (c === "red" && !revealed[i] ? 1 : 0), 0),
-  };
-  const isBlackRevealed = colors.some((c, i) => c === "black" && revealed[i]);
-  const isBlueWin = remainingCards.blue === 0;
-  const isRedWin = remainingCards.red === 0;
-  const gameOver = isBlackRevealed || isBlueWin || isRedWin;
-  const winner = isBlackRevealed ? "assassin" : isBlueWin ? "blue" : isRedWin ? "red" : null;
+  try {
+    const key = await keyService.generateUnique(type,
+      async (candidate) => (await gameStore.has(candidate)) || (await aiGamesFile.gameExists(candidate)));
+    res.json({ success: true, key, dictionary: type });
+  } catch (error) {
+    res.status(503).json({ success: false, code: 'KEYSPACE_EXHAUSTED', message: error.message });
+  }
+});
+
+// Журнал событий игры для пошагового повтора партии
+app.get("/api/games/:key/events", validateRequest('params', routeSchemas.gameKeyParams), (req, res, next) => {
+  const gameKey = normalizeGameKey(req.validated.params.key);
+
+  gameStore.get(gameKey).then((game) => {
+    if (!game) {
+      return res.status(404).json({
+        success: false,
+        code: 'GAME_NOT_FOUND',
+        message: 'Игра не найдена'
+      });
+    }
 
-  Object.assign(game, { remainingCards, gameOver, winner });
+    res.json({
+      success: true,
+      ...getReplay(gameKey, game)
+    });
+  }).catch(next);
+});
+
+// Поле строится только на сервере: раскладку задают ключ игры, номер партии на нём и секрет сервера
+const buildGameState = async (gameKey, options = {}, round = 1) => {
+  const dictionary = options.dictionary || null;
+  const timers = normalizeTimerOptions(options.timers);
+  const dictionaryWords = await dictionaryService.getWords(gameKey, dictionary, options.shareToken);
+  const mode = options.mode || "classic";
+  const isAIGame = dictionaryService.isAIGame(gameKey, dictionary);
+  // ИИ-игра сгенерирована под своё поле: если раскладку не выбрали, берём пресет по числу слов
+  const aiPreset = isAIGame && !options.layout
+    && Object.keys(BOARD_PRESETS).find((name) => BOARD_PRESETS[name].side ** 2 === dictionaryWords.length);
+  // Свои цвета и порядок ходов; без них играют синие и красные
+  const teams = options.teams || null;
+  const layout = resolveLayout(options.layout || (aiPreset ? { preset: aiPreset } : undefined), teams?.length);
+  if (mode === "duet" && layout.size !== DUET_BOARD_SIZE) {
+    throw new Error("Дуэт играется только на поле 5×5");
+  }
+  if (mode === "duet" && teams) {
+    throw new Error("В Дуэте играют две стороны, команды не настраиваются");
+  }
+  const board = generateBoard(gameKey, dictionaryWords, layout, teams, round);
+  if (isAIGame) {
+    aiGamesFile.recordPlay(gameKey).catch((error) => logger.error("Failed to record AI game play", { gameKey, error }));
+  }
+  // В Дуэте слова те же, а раскладку задают карты-ключи сторон
+  const cards = mode === "duet" ? { words: board.words, keys: generateDuetKeys(gameKey, round) } : board;
+  return createNewGameState(gameKey, {
+    ...cards, mode, layout, dictionary, timers, spymasterView: Boolean(options.spymasterView), round,
+  });
 };
 
-const mergeGameStates = (baseState, newState) => {
-  if (!baseState) return newState;
-  const revealed = baseState.revealed.map((isRevealed, index) => isRevealed || newState.revealed[index]);
-  return { ...baseState, revealed };
+// Зрители не входят в game.players. Вид капитана — режим для трансляций, его включает
+// владелец комнаты. Задержка лишь сдвигает картинку стрима: цвета закрытых карт за это
+// время не меняются, и игрок со второго подключения увидит их, так что от подглядывания
+// она не защищает — включать вид стоит только там, где игрокам доверяют
+const spectators = new SpectatorRegistry(
+  (process.env.SPECTATOR_DELAY_SECONDS ? Number(process.env.SPECTATOR_DELAY_SECONDS) : 30) * 1000
+);
+
+const getSpectatorRooms = (gameKey) => SPECTATOR_VIEWS.map((view) => getSpectatorRoom(gameKey, view));
+
+// Комнаты Socket.IO всех, кто следит за игрой: игроки и зрители
+const getAudience = (gameKey) => [gameKey, ...getSpectatorRooms(gameKey)];
+
+// Счётчик в игре — только сводка: зрителей пересчитываем по комнатам Socket.IO на всех экземплярах,
+// и зрители упавшего экземпляра пропадают из него при следующем пересчёте
+const countRoomSpectators = async (gameKey) => Object.fromEntries(await Promise.all(SPECTATOR_VIEWS.map(
+  async (view) => [view, (await io.in(getSpectatorRoom(gameKey, view)).fetchSockets()).length]
+)));
+
+const emitSpectatorCount = (gameKey, game) => {
+  io.to(getAudience(gameKey)).emit("SPECTATOR_COUNT", { gameKey, spectatorCount: countSpectators(game) });
 };
 
-const createNewGameState = (gameKey, words = [], colors = [], savedState = null) => {
-  const game = {
-    words,
-    colors,
-    revealed: Array(25).fill(false),
-    currentTeam: "blue",
-    remainingCards: { blue: 0, red: 0 },
-    gameOver: false,
-    winner: null,
-    lastActivity: Date.now(),
-    players: new Set(),
+// Снимок вида капитана берётся сейчас, а отправляется после задержки
+const delaySpymasterView = (gameKey, game, send) => {
+  const snapshot = {
+    ...projectGameState(game, null, { revealColors: true }),
+    delaySeconds: spectators.delayMs / 1000,
   };
+  spectators.delay(gameKey, () => send(snapshot));
+};
+
+// Каждый игрок получает своё представление: цвета закрытых карт видят только капитаны.
+// Зрители получают общий вид без цветов или, если комната это разрешила, отложенный вид капитана
+const broadcastGameState = (gameKey, game) => {
+  game.players.forEach((player, playerId) => {
+    if (player.connected) {
+      io.to(player.socketId).emit("GAME_STATE", projectGameState(game, playerId));
+    }
+  });
+
+  if (countSpectators(game) === 0) return;
+
+  const publicState = projectGameState(game, null);
+  io.to(getSpectatorRoom(gameKey, "public")).emit("GAME_STATE", publicState);
+  if (game.spectators.spymaster > 0) {
+    if (game.spectatorSpymasterView) {
+      delaySpymasterView(gameKey, game, (state) => io.to(getSpectatorRoom(gameKey, "spymaster")).emit("GAME_STATE", state));
+    } else {
+      io.to(getSpectatorRoom(gameKey, "spymaster")).emit("GAME_STATE", publicState);
+    }
+  }
+};
+
+const saveGame = (gameKey, game) => gameStore.save(gameKey, game);
 
-  if (savedState) {
-    game.revealed = savedState.revealed || game.revealed;
-    game.currentTeam = savedState.currentTeam || game.currentTeam;
+// Партию, завершённую повторно после отмены хода, второй раз не считаем
+const recordCompletion = (gameKey, game) => {
+  if (game.gameOver && game.winner && !game.completionRecorded) {
+    game.completionRecorded = true;
+    gameStats.completeGame(gameKey, {
+      ...getOutcome(game),
+      dictionary: dictionaryService.resolveDictionary(gameKey, game.dictionary),
+      dictionaryType: dictionaryService.isAIGame(gameKey, game.dictionary) ? "ai" : "regular",
+    });
+    logger.info("Game over", { gameKey, winner: game.winner });
   }
+};
+
+// Допуск на расхождение часов экземпляров при проверке дедлайна
+const TIMER_TOLERANCE_MS = 1000;
+
+// Время хода истекло: ход переходит к другой команде. Игру перечитываем под блокировкой —
+// ход мог смениться, пока таймер ждал своей очереди, в том числе на другом экземпляре
+const turnTimers = new TurnTimerService((gameKey, phaseId) => gameStore.withLock(gameKey, async () => {
+  const game = await gameStore.get(gameKey);
+  if (!game || game.gameOver || game.timerPhaseId !== phaseId ||
+      game.turnDeadline === null || game.turnDeadline > Date.now() + TIMER_TOLERANCE_MS) {
+    return;
+  }
+
+  logger.info("Turn timed out", { gameKey, team: game.currentTeam });
 
-  calculateDerivedState(game);
-  return game;
+  performAction(game, "turn_timeout", null, { team: game.currentTeam });
+  game.lastActivity = Date.now();
+  turnTimers.sync(gameKey, game);
+  await saveGame(gameKey, game);
+  broadcastGameState(gameKey, game);
+}).catch((error) => logger.error("Turn timeout failed", { gameKey, error })));
+
+const removePlayer = async (gameKey, game, playerId) => {
+  const player = game.players.get(playerId);
+  if (!player) return;
+
+  presence.reconnected(gameKey, playerId);
+  game.players.delete(playerId);
+  recordEvent(game, "leave", playerId);
+  if (countConnected(game) === 0) {
+    game.lastActivity = Date.now();
+    turnTimers.pause(gameKey, game);
+  }
+
+  io.to(gameKey).emit("PLAYER_LEFT", {
+    playerId,
+    name: player.name,
+    playerCount: game.players.size,
+  });
+  await saveGame(gameKey, game);
+  broadcastGameState(gameKey, game);
 };
 
+// Новую партию на занятом ключе начинает владелец; остальным доступна только законченная или пустая комната
+const canRestartGame = (game, playerId) => game.ownerId === playerId || game.gameOver
+  || ![...game.players].some(([id, player]) => id !== playerId && player.connected);
+
+// Отключившийся игрок не вернулся за отведённое время
+const presence = new PresenceTracker(Number(process.env.PLAYER_GRACE_MS) || 60000, (gameKey, playerId) => {
+  gameStore.withLock(gameKey, async () => {
+    const game = await gameStore.get(gameKey);
+    if (game && game.players.get(playerId)?.connected === false) {
+      logger.info("Player left after grace period", { gameKey, playerId });
+      await removePlayer(gameKey, game, playerId);
+    }
+  }).catch((error) => logger.error("Failed to remove player", { gameKey, playerId, error }));
+});
+
+// События, которые меняют игру: зрителям они недоступны
+const PLAYER_EVENTS = ["REVEAL_CARD", "GIVE_CLUE", "END_TURN", "UNDO_LAST", "SET_ROLE", "CHAT_MESSAGE"];
+
+// Видевший ключ раскладки до новой партии отгадывать не садится (см. canTakeSeat)
+const KEY_SEEN_MESSAGE = "Вы уже видели ключ этой раскладки: сесть отгадывать можно только в новой партии";
+
+// Частота сообщений в чат с одного сокета
+const CHAT_BURST = Number(process.env.CHAT_BURST) || 5;
+const CHAT_PER_MINUTE = Number(process.env.CHAT_PER_MINUTE) || 30;
+
+io.use(sessionMiddleware);
+
 io.on("connection", (socket) => {
-  console.log("Client connected:", socket.id);
+  const { playerId, playerToken, name } = socket.data;
+  const log = logger.child({ socketId: socket.id, playerId });
+  log.info("Client connected", { name });
+
+  socket.emit("SESSION", { playerId, playerToken, name });
 
   let currentGame = null;
+  // { gameKey, view }, пока сокет смотрит игру как зритель
+  let spectating = null;
+  // События одного сокета обрабатываются по очереди, в порядке прихода
+  let queue = Promise.resolve();
+  const chatBucket = new TokenBucket(CHAT_BURST, CHAT_PER_MINUTE);
 
-  const leaveCurrentGame = () => {
-    if (currentGame) {
-      socket.leave(currentGame);
-      const game = activeGames.get(currentGame);
-      if (game) {
-        game.players.delete(socket.id);
-        if (game.players.size === 0) {
-          game.lastActivity = Date.now();
+  // socket.data.gameKey видят метрики этого экземпляра
+  const setCurrentGame = (gameKey) => {
+    currentGame = gameKey;
+    socket.data.gameKey = gameKey;
+  };
+
+  const emitError = (event, code, message, field) => {
+    log.debug("Event refused", { event, code, message, field });
+    socketErrors.inc({ event, code });
+    socket.emit("ERROR", { event, code, message, ...(field && { field }) });
+  };
+
+  const enqueue = (event, task) => {
+    queue = queue.then(task).catch((error) => {
+      log.error("Event failed", { event, error });
+      emitError(event, "SERVER_ERROR", "Не удалось выполнить действие, попробуйте ещё раз");
+    });
+  };
+
+  // Все входящие события проходят проверку по схеме из schemas.js
+  const handle = (event, handler) => {
+    socket.on(event, (payload) => {
+      socketEvents.inc({ event });
+      let data;
+      try {
+        data = validate(eventSchemas[event], payload);
+      } catch (error) {
+        if (!(error instanceof ValidationError)) throw error;
+        emitError(event, error.code, error.message, error.field);
+        return;
+      }
+      enqueue(event, () => {
+        if (spectating && PLAYER_EVENTS.includes(event)) {
+          emitError(event, "SPECTATOR_READ_ONLY", "Зрители не могут менять ход игры");
+          return;
         }
+        return handler(data);
+      });
+    });
+  };
+
+  // Действие над своей игрой: под блокировкой комнаты и по свежему состоянию из хранилища
+  const withCurrentGame = (event, rawKey, action) => {
+    const gameKey = normalizeGameKey(rawKey);
+    if (currentGame !== gameKey) {
+      emitError(event, "NOT_IN_GAME", "Вы не в этой игре");
+      return;
+    }
+
+    return gameStore.withLock(gameKey, async () => {
+      const game = await gameStore.get(gameKey);
+      if (!game) {
+        emitError(event, "NOT_IN_GAME", "Вы не в этой игре");
+        return;
       }
-      currentGame = null;
+      await action(gameKey, game);
+    });
+  };
+
+  // При обрыве связи игрок остаётся в комнате на время отсрочки
+  const leaveCurrentGame = async (isDisconnect = false) => {
+    if (currentGame) {
+      const gameKey = currentGame;
+      socket.leave(gameKey);
+      setCurrentGame(null);
+
+      await gameStore.withLock(gameKey, async () => {
+        const game = await gameStore.get(gameKey);
+        const player = game?.players.get(playerId);
+        // Игрок мог уже переподключиться с другого сокета
+        if (player && player.socketId === socket.id) {
+          if (isDisconnect) {
+            player.connected = false;
+            player.socketId = null;
+            presence.disconnected(gameKey, playerId);
+            if (countConnected(game) === 0) {
+              game.lastActivity = Date.now();
+              turnTimers.pause(gameKey, game);
+            }
+            await saveGame(gameKey, game);
+            broadcastGameState(gameKey, game);
+          } else {
+            await removePlayer(gameKey, game, playerId);
+          }
+        }
+      });
     }
   };
 
-  socket.on("JOIN_GAME", ({ gameKey, words, colors, gameState }) => {
-    console.log("\n=== JOIN_GAME ===");
-    console.log("Player", socket.id, "joining game:", gameKey);
-    console.log("Has words:", !!words);
-    console.log("Has colors:", !!colors);
-    console.log("Has game state:", !!gameState);
+  const stopSpectating = async () => {
+    if (spectating) {
+      const { gameKey, view } = spectating;
+      socket.leave(getSpectatorRoom(gameKey, view));
+      spectating = null;
+      spectators.remove(gameKey, socket.id);
 
-    leaveCurrentGame();
+      await gameStore.withLock(gameKey, async () => {
+        const game = await gameStore.get(gameKey);
+        if (!game) return;
+        game.spectators = await countRoomSpectators(gameKey);
+        await saveGame(gameKey, game);
+        emitSpectatorCount(gameKey, game);
+      });
+      log.info("Spectator left", { gameKey, view });
+    }
+  };
 
-    let game = activeGames.get(gameKey);
+  handle("JOIN_GAME", async ({ gameKey: rawKey, options = {}, team, role }) => {
+    const gameKey = normalizeGameKey(rawKey);
+    log.debug("Join requested", { gameKey, dictionary: options.dictionary, team, role });
 
-    if (!game && words && colors) {
-      console.log("Creating new game state");
-      game = createNewGameState(gameKey, words, colors, gameState);
-      activeGames.set(gameKey, game);
-      gameStats.addGame(gameKey);
+    await stopSpectating();
+    if (currentGame !== gameKey) {
+      await leaveCurrentGame();
     }
 
-    if (game) {
-      if (gameState) {
-        console.log("Merging states");
-        const merged = mergeGameStates(game, gameState);
-        game.revealed = merged.revealed;
-        calculateDerivedState(game);
+    await gameStore.withLock(gameKey, async () => {
+      let game = await gameStore.get(gameKey);
+      let isNewGame = false;
+
+      // Ключ похож на выданный сервером, но контрольная буква не сходится — скорее всего опечатка
+      if (!game && keyService.parse(gameKey).typo) {
+        return emitError("JOIN_GAME", "INVALID_KEY", "Похоже, в ключе опечатка", "gameKey");
+      }
+
+      if (!game) {
+        try {
+          game = await buildGameState(gameKey, options);
+        } catch (error) {
+          emitError("JOIN_GAME", error instanceof DictionaryError ? error.code : "GAME_CREATE_FAILED", error.message);
+          return;
+        }
+        game.ownerId = playerId;
+        isNewGame = true;
+        await saveGame(gameKey, game);
+        gameStats.addGame(gameKey);
+      }
+
+      // Вернувшийся игрок сохраняет свою команду и роль
+      let player = game.players.get(playerId);
+      const isReconnect = !!player;
+
+      if (isReconnect) {
+        presence.reconnected(gameKey, playerId);
+        Object.assign(player, { name, socketId: socket.id, connected: true });
+      } else {
+        try {
+          player = { ...assignRole(game, playerId, { team, role }), name, socketId: socket.id, connected: true };
+        } catch (error) {
+          emitError("JOIN_GAME", "ROLE_UNAVAILABLE", error.message);
+          return;
+        }
+        if (!canTakeSeat(game, playerId, player)) {
+          emitError("JOIN_GAME", "ROLE_UNAVAILABLE", KEY_SEEN_MESSAGE);
+          return;
+        }
+        game.players.set(playerId, player);
+        recordKeyViewers(game);
+        recordEvent(game, "join", playerId, { name, team: player.team, role: player.role });
       }
 
       socket.join(gameKey);
-      currentGame = gameKey;
-      game.players.add(socket.id);
+      setCurrentGame(gameKey);
+      updatePeakPlayers(game);
+
       game.lastActivity = Date.now();
+      turnTimers.resume(gameKey, game);
 
-      console.log("Player joined successfully");
-      console.log("Current players:", game.players.size);
-      console.log("Remaining cards:", game.remainingCards);
-      console.log("Revealed cards:", game.revealed.filter((r) => r).length);
+      log.info(isReconnect ? "Player reconnected" : "Player joined", {
+        gameKey,
+        team: player.team,
+        role: player.role,
+        players: game.players.size,
+        newGame: isNewGame,
+      });
 
-      io.to(gameKey).emit("GAME_STATE", game);
+      await saveGame(gameKey, game);
+      broadcastGameState(gameKey, game);
 
-      socket.to(gameKey).emit("PLAYER_JOINED", {
-        playerId: socket.id,
+      socket.to(gameKey).emit(isReconnect ? "PLAYER_RECONNECTED" : "PLAYER_JOINED", {
+        playerId,
+        name,
+        team: player.team,
+        role: player.role,
         playerCount: game.players.size,
       });
-    } else {
-      console.log("Failed to join - no game state");
+    });
+  });
+
+  handle("NEW_GAME", async ({ gameKey: rawKey, options = {}, team, role }) => {
+    const gameKey = normalizeGameKey(rawKey);
+    const refuseRestart = () => emitError("NEW_GAME", "NOT_ALLOWED", "Новую партию в идущей игре начинает только владелец комнаты");
+
+    // Проверяем до выхода из текущей игры, чтобы отказ не выбросил игрока из комнаты
+    const existingGame = await gameStore.get(gameKey);
+    if (existingGame && !canRestartGame(existingGame, playerId)) {
+      refuseRestart();
+      return;
     }
-    console.log("=== END JOIN_GAME ===\n");
+
+    await stopSpectating();
+    await leaveCurrentGame();
+
+    await gameStore.withLock(gameKey, async () => {
+      const previousGame = await gameStore.get(gameKey);
+      if (previousGame && !canRestartGame(previousGame, playerId)) {
+        refuseRestart();
+        return;
+      }
+
+      let game;
+      let player;
+      try {
+        game = await buildGameState(gameKey, options, previousGame ? (previousGame.round || 1) + 1 : 1);
+
+        // Игроки, уже сидящие в комнате, переходят в новую партию со своими ролями; зрители и чат — тоже
+        if (previousGame) {
+          previousGame.players.forEach((p, id) => {
+            if (id === playerId) return;
+            // Если команды игрока в новой партии нет, он становится агентом меньшей команды
+            const seat = getTeams(game).includes(p.team) ? {} : assignRole(game, id);
+            game.players.set(id, { ...p, ...seat });
+          });
+          game.spectators = await countRoomSpectators(gameKey);
+          game.chat = previousGame.chat || [];
+        }
+
+        player = { ...assignRole(game, playerId, { team, role }), name, socketId: socket.id, connected: true };
+      } catch (error) {
+        emitError("NEW_GAME", error instanceof DictionaryError ? error.code : "GAME_CREATE_FAILED", error.message);
+        return;
+      }
+
+      // Владелец комнаты остаётся прежним: начавший реванш не получает его право на отмену хода
+      game.ownerId = previousGame?.ownerId || playerId;
+      gameStats.addGame(gameKey);
+
+      socket.join(gameKey);
+      setCurrentGame(gameKey);
+      game.players.set(playerId, player);
+      recordKeyViewers(game);
+      updatePeakPlayers(game);
+      game.players.forEach((p, id) => {
+        recordEvent(game, "join", id, { name: p.name, team: p.team, role: p.role });
+      });
+      turnTimers.sync(gameKey, game);
+
+      log.info("Game created", { gameKey, dictionary: options.dictionary, team: player.team, role: player.role });
+
+      await saveGame(gameKey, game);
+      broadcastGameState(gameKey, game);
+    });
   });
 
-  socket.on("NEW_GAME", ({ gameKey, words, colors }) => {
-    console.log("\n=== NEW_GAME ===");
-    console.log("Creating game:", gameKey);
+  // Зритель смотрит комнату, не занимая места среди игроков
+  handle("SPECTATE_GAME", async ({ gameKey: rawKey, view = "public" }) => {
+    const gameKey = normalizeGameKey(rawKey);
 
-    leaveCurrentGame();
+    const game = await gameStore.get(gameKey);
+    if (!game) {
+      emitError("SPECTATE_GAME", "GAME_NOT_FOUND", "Игра не найдена");
+      return;
+    }
 
-    const game = createNewGameState(gameKey, words, colors);
-    activeGames.set(gameKey, game);
-    gameStats.addGame(gameKey);
+    if (view === "spymaster" && !game.spectatorSpymasterView) {
+      emitError("SPECTATE_GAME", "NOT_ALLOWED", "В этой комнате вид капитана для зрителей выключен", "view");
+      return;
+    }
+    if (view === "spymaster" && game.players.has(playerId)) {
+      emitError("SPECTATE_GAME", "NOT_ALLOWED", "Игроки комнаты не могут смотреть вид капитана", "view");
+      return;
+    }
 
-    socket.join(gameKey);
-    currentGame = gameKey;
-    game.players.add(socket.id);
+    await stopSpectating();
+    await leaveCurrentGame();
+
+    await gameStore.withLock(gameKey, async () => {
+      const game = await gameStore.get(gameKey);
+      if (!game) {
+        emitError("SPECTATE_GAME", "GAME_NOT_FOUND", "Игра не найдена");
+        return;
+      }
+
+      spectators.add(gameKey, socket.id, { playerId, name, view });
+      socket.join(getSpectatorRoom(gameKey, view));
+      spectating = { gameKey, view };
+
+      game.spectators = await countRoomSpectators(gameKey);
+      await saveGame(gameKey, game);
 
-    console.log("Game created successfully");
-    console.log("First player:", socket.id);
+      log.info("Spectator joined", { gameKey, view, spectators: countSpectators(game) });
 
-    io.to(gameKey).emit("GAME_STATE", game);
-    console.log("=== END NEW_GAME ===\n");
+      const delaySeconds = view === "spymaster" ? spectators.delayMs / 1000 : 0;
+      socket.emit("SPECTATING", { gameKey, view, delaySeconds });
+      // Сразу — общий вид без цветов; вид капитана догонит его после задержки
+      socket.emit("GAME_STATE", projectGameState(game, null));
+      if (view === "spymaster") {
+        delaySpymasterView(gameKey, game, (state) => {
+          if (spectating?.gameKey === gameKey) socket.emit("GAME_STATE", state);
+        });
+      }
+      emitSpectatorCount(gameKey, game);
+    });
   });
 
-  socket.on("REVEAL_CARD", ({ gameKey, cardIndex }) => {
-    console.log("\n=== REVEAL_CARD ===");
-    console.log("Game key:", gameKey);
-    console.log("Card index:", cardIndex);
-    console.log("Current game:", currentGame);
+  handle("STOP_SPECTATING", async ({ gameKey: rawKey }) => {
+    if (spectating?.gameKey !== normalizeGameKey(rawKey)) {
+      emitError("STOP_SPECTATING", "NOT_IN_GAME", "Вы не смотрите эту игру");
+      return;
+    }
+    await stopSpectating();
+  });
 
-    if (currentGame !== gameKey) {
-      console.log("Current game mismatch!");
+  handle("REVEAL_CARD", ({ gameKey: rawKey, cardIndex }) => withCurrentGame("REVEAL_CARD", rawKey, async (gameKey, game) => {
+    const player = game.players.get(playerId);
+    if (cardIndex >= game.words.length || !isCardOpen(game, cardIndex, player?.team)) {
+      emitError("REVEAL_CARD", "INVALID_CARD", "Эту карту нельзя открыть");
       return;
     }
 
-    const game = activeGames.get(gameKey);
-    console.log("Game exists:", !!game);
+    if (game.gameOver || !isGuesser(game, player)) {
+      emitError("REVEAL_CARD", "NOT_ALLOWED", "Сейчас вы не можете открывать карты");
+      return;
+    }
 
-    if (!game || game.revealed[cardIndex]) {
-      console.log("Game not found or card already revealed");
-      console.log("Revealed status:", game?.revealed[cardIndex]);
+    if (!game.currentClue && isClueRequired(game)) {
+      emitError("REVEAL_CARD", "INVALID_MOVE", "Капитан ещё не дал подсказку");
       return;
     }
 
-    game.revealed[cardIndex] = true;
+    const teamBefore = game.currentTeam;
+    performAction(game, "reveal", playerId, { cardIndex, team: player.team });
     game.lastActivity = Date.now();
 
-    const cardColor = game.colors[cardIndex];
-    console.log("Card color:", cardColor);
+    log.debug("Card revealed", {
+      gameKey,
+      cardIndex,
+      color: game.colors?.[cardIndex],
+      guessesLeft: game.guessesLeft,
+      turnPassed: game.currentTeam !== teamBefore,
+    });
+    turnTimers.sync(gameKey, game);
+    recordCompletion(gameKey, game);
+
+    await saveGame(gameKey, game);
+    broadcastGameState(gameKey, game);
+  }));
 
-    if (cardColor !== game.currentTeam || cardColor === "neutral") {
-      console.log("Switching team from", game.currentTeam);
-      game.currentTeam = game.currentTeam === "blue" ? "red" : "blue";
-      console.log("to", game.currentTeam);
+  handle("GIVE_CLUE", ({ gameKey: rawKey, word, number }) => withCurrentGame("GIVE_CLUE", rawKey, async (gameKey, game) => {
+    const player = game.players.get(playerId);
+    if (!isClueGiver(game, player)) {
+      emitError("GIVE_CLUE", "NOT_ALLOWED", "Сейчас вы не можете давать подсказку");
+      return;
     }
 
-    calculateDerivedState(game);
-    console.log("Remaining cards after:", { ...game.remainingCards });
+    try {
+      performAction(game, "clue", playerId, { word, number });
+    } catch (error) {
+      emitError("GIVE_CLUE", "INVALID_MOVE", error.message);
+      return;
+    }
 
-    if (game.gameOver && game.winner) {
-      gameStats.completeGame(gameKey);
-      console.log("Game over! Winner:", game.winner);
+    game.lastActivity = Date.now();
+    turnTimers.sync(gameKey, game);
+    await saveGame(gameKey, game);
+    broadcastGameState(gameKey, game);
+  }));
+
+  handle("END_TURN", ({ gameKey: rawKey }) => withCurrentGame("END_TURN", rawKey, async (gameKey, game) => {
+    const player = game.players.get(playerId);
+    if (game.gameOver || !game.currentClue || !isGuesser(game, player)) {
+      emitError("END_TURN", "NOT_ALLOWED", "Сейчас вы не можете завершить ход");
+      return;
     }
 
-    io.to(gameKey).emit("GAME_STATE", game);
-    console.log("Game state sent to room");
-    console.log("=== END REVEAL_CARD ===\n");
+    log.debug("Turn ended", { gameKey, team: game.currentTeam });
+    performAction(game, "end_turn", playerId, { team: game.currentTeam });
+    game.lastActivity = Date.now();
+    turnTimers.sync(gameKey, game);
+    await saveGame(gameKey, game);
+    broadcastGameState(gameKey, game);
+  }));
+
+  handle("UNDO_LAST", ({ gameKey: rawKey }) => withCurrentGame("UNDO_LAST", rawKey, async (gameKey, game) => {
+    let result;
+    try {
+      result = voteUndo(game, playerId);
+    } catch (error) {
+      emitError("UNDO_LAST", "INVALID_MOVE", error.message);
+      return;
+    }
+
+    log.info("Undo vote", { gameKey, votes: result.votes, needed: result.needed, undone: result.undone });
+    game.lastActivity = Date.now();
+    if (result.undone) {
+      turnTimers.sync(gameKey, game);
+    }
+    // Голос сохраняется и без отмены: следующий может прийти на другой экземпляр
+    await saveGame(gameKey, game);
+    broadcastGameState(gameKey, game);
+  }));
+
+  handle("SET_ROLE", ({ gameKey: rawKey, team, role }) => withCurrentGame("SET_ROLE", rawKey, async (gameKey, game) => {
+    const player = game.players.get(playerId);
+    if (!player) {
+      emitError("SET_ROLE", "NOT_IN_GAME", "Вы не в этой игре");
+      return;
+    }
+    // Смена команды посреди партии открыла бы капитану чужой ход, а в Дуэте — ключ другой стороны
+    if (isGameInProgress(game)) {
+      emitError("SET_ROLE", "GAME_IN_PROGRESS", "Команду и роль можно сменить только между партиями");
+      return;
+    }
+
+    let seat;
+    try {
+      seat = assignRole(game, playerId, { team, role });
+    } catch (error) {
+      emitError("SET_ROLE", "ROLE_UNAVAILABLE", error.message);
+      return;
+    }
+    if (!canTakeSeat(game, playerId, seat)) {
+      emitError("SET_ROLE", "ROLE_UNAVAILABLE", KEY_SEEN_MESSAGE);
+      return;
+    }
+
+    Object.assign(player, seat);
+    recordKeyViewers(game);
+
+    recordEvent(game, "role_change", playerId, { team: player.team, role: player.role });
+    game.lastActivity = Date.now();
+    await saveGame(gameKey, game);
+    broadcastGameState(gameKey, game);
+  }));
+
+  // Сообщение в общий канал получают игроки и зрители, в канал команды — только её игроки
+  handle("CHAT_MESSAGE", ({ gameKey: rawKey, channel = "room", text }) => {
+    const { allowed, retryAfterMs } = chatBucket.take();
+    if (!allowed) {
+      emitError("CHAT_MESSAGE", "RATE_LIMITED", `Слишком много сообщений, подождите ${Math.ceil(retryAfterMs / 1000)} с`);
+      return;
+    }
+
+    return withCurrentGame("CHAT_MESSAGE", rawKey, async (gameKey, game) => {
+      let message;
+      try {
+        message = addChatMessage(game, playerId, { channel, text });
+      } catch (error) {
+        if (!(error instanceof ChatError)) throw error;
+        emitError("CHAT_MESSAGE", error.code, error.message, error.code === "CLUE_LEAK" ? "text" : undefined);
+        return;
+      }
+
+      game.lastActivity = Date.now();
+      await saveGame(gameKey, game);
+
+      if (channel === "room") {
+        io.to(getAudience(gameKey)).emit("CHAT_MESSAGE", { gameKey, ...message });
+      } else {
+        game.players.forEach((player) => {
+          if (player.connected && player.team === message.team) {
+            io.to(player.socketId).emit("CHAT_MESSAGE", { gameKey, ...message });
+          }
+        });
+      }
+    });
   });
 
   socket.on("disconnect", () => {
-    console.log("Client disconnected:", socket.id);
-    leaveCurrentGame();
+    log.info("Client disconnected");
+    enqueue("disconnect", async () => {
+      await stopSpectating();
+      await leaveCurrentGame(true);
+    });
   });
 });
 
-setInterval(() => {
-  console.log("\n=== CLEANUP ===");
-  const oneHourAgo = Date.now() - 3600000;
-  let cleanedGames = 0;
+// Удаление комнаты из хранилища вместе с её таймерами
+const destroyGame = async (gameKey) => {
+  io.in(getSpectatorRooms(gameKey)).socketsLeave(getSpectatorRooms(gameKey));
+  spectators.clearGame(gameKey);
+  turnTimers.clear(gameKey);
+  presence.clearGame(gameKey);
+  await gameStore.delete(gameKey);
+};
+
+const describeRoom = (gameKey, game) => ({
+  gameKey,
+  mode: game.mode || "classic",
+  layout: game.layout || resolveLayout(),
+  teams: getTeams(game),
+  players: game.players.size,
+  connected: countConnected(game),
+  spectators: countSpectators(game),
+  ownerId: game.ownerId,
+  dictionary: dictionaryService.resolveDictionary(gameKey, game.dictionary),
+  createdAt: game.createdAt ? new Date(game.createdAt).toISOString() : null,
+  lastActivity: new Date(game.lastActivity).toISOString(),
+  progress: {
+    revealed: game.revealed.filter(Boolean).length,
+    total: game.words.length,
+    remainingCards: game.remainingCards,
+    currentTeam: game.currentTeam,
+    eliminated: game.eliminated || [],
+    turnNumber: game.turnNumber,
+    gameOver: game.gameOver,
+    winner: game.winner,
+    endedByAdmin: Boolean(game.endedByAdmin),
+    ...(game.mode === "duet" && { turnsLeft: game.turnsLeft }),
+  },
+});
 
-  activeGames.forEach((game, key) => {
-    if (game.lastActivity < oneHourAgo) {
-      console.log("Cleaning game:", key);
-      console.log("Last activity:", new Date(game.lastActivity));
-      gameStats.removeGame(key);
-      activeGames.delete(key);
-      cleanedGames++;
+const sendRoomNotFound = (res) => {
+  res.status(404).json({
+    success: false,
+    code: 'GAME_NOT_FOUND',
+    message: 'Игра не найдена'
+  });
+};
+
+// Административный API: все маршруты требуют ADMIN_TOKEN
+const admin = express.Router();
+admin.use(requireAdmin);
+
+admin.get('/rooms', (req, res, next) => {
+  gameStore.entries().then((entries) => {
+    const rooms = entries.map(([gameKey, game]) => describeRoom(gameKey, game))
+      .sort((a, b) => b.lastActivity.localeCompare(a.lastActivity));
+    res.json({ success: true, rooms });
+  }).catch(next);
+});
+
+// Подробности комнаты для панели администратора: поле, игроки и последние события
+const sendRoomDetails = (res, gameKey, game) => {
+  res.json({
+    success: true,
+    ...describeRoom(gameKey, game),
+    board: { words: game.words, colors: game.colors, keys: game.keys, revealed: game.revealed },
+    currentClue: game.currentClue,
+    guessesLeft: game.guessesLeft,
+    clues: game.clues,
+    timers: game.timers,
+    turnDeadline: game.turnDeadline,
+    playerList: [...game.players].map(([id, p]) => ({
+      id,
+      name: p.name,
+      team: p.team,
+      role: p.role,
+      connected: p.connected,
+      socketId: p.socketId,
+    })),
+    recentEvents: game.events.slice(-50),
+  });
+};
+
+admin.get('/rooms/:key', validateRequest('params', routeSchemas.gameKeyParams), (req, res, next) => {
+  const gameKey = normalizeGameKey(req.validated.params.key);
+  gameStore.get(gameKey).then((game) => {
+    if (!game) {
+      return sendRoomNotFound(res);
     }
+
+    sendRoomDetails(res, gameKey, game);
+  }).catch(next);
+});
+
+admin.post('/rooms/:key/end',
+  validateRequest('params', routeSchemas.gameKeyParams),
+  validateRequest('body', routeSchemas.adminEndGame),
+  (req, res, next) => {
+    const gameKey = normalizeGameKey(req.validated.params.key);
+    const { reason = 'Игра завершена администратором' } = req.validated.body;
+
+    return gameStore.withLock(gameKey, async () => {
+      const game = await gameStore.get(gameKey);
+      if (!game) {
+        return sendRoomNotFound(res);
+      }
+
+      forceEndGame(game);
+      recordEvent(game, "admin_end", null, { reason });
+      game.lastActivity = Date.now();
+      turnTimers.sync(gameKey, game);
+      await saveGame(gameKey, game);
+      io.to(getAudience(gameKey)).emit("SERVER_NOTICE", { level: "warning", message: reason, timestamp: Date.now() });
+      broadcastGameState(gameKey, game);
+
+      logger.warn("Game ended by admin", { gameKey, reason });
+      res.json({ success: true, ...describeRoom(gameKey, game) });
+    }).catch(next);
+  }
+);
+
+admin.delete('/rooms/:key', validateRequest('params', routeSchemas.gameKeyParams), (req, res, next) => {
+  const gameKey = normalizeGameKey(req.validated.params.key);
+
+  return gameStore.withLock(gameKey, async () => {
+    if (!(await gameStore.has(gameKey))) {
+      return sendRoomNotFound(res);
+    }
+
+    io.to(getAudience(gameKey)).emit("ROOM_CLOSED", { gameKey, message: "Комната закрыта администратором" });
+    io.in(getAudience(gameKey)).socketsLeave(getAudience(gameKey));
+    await destroyGame(gameKey);
+
+    logger.warn("Game deleted by admin", { gameKey });
+    res.json({ success: true, gameKey });
+  }).catch(next);
+});
+
+admin.post('/sockets/:socketId/kick',
+  validateRequest('params', routeSchemas.socketParams),
+  validateRequest('body', routeSchemas.adminKick),
+  (req, res, next) => {
+    const { socketId } = req.validated.params;
+    // Сокет может быть подключён к другому экземпляру: ищем его через адаптер
+    io.in(socketId).fetchSockets().then(([target]) => {
+      if (!target) {
+        return res.status(404).json({
+          success: false,
+          code: 'SOCKET_NOT_FOUND',
+          message: 'Соединение не найдено'
+        });
+      }
+
+      const { reason = 'Отключены администратором' } = req.validated.body;
+      target.emit("KICKED", { reason });
+      target.disconnect(true);
+
+      logger.warn("Socket kicked by admin", { socketId, playerId: target.data.playerId, reason });
+      res.json({ success: true, socketId, playerId: target.data.playerId });
+    }).catch(next);
+  }
+);
+
+// Объявление всем игрокам или одной комнате, например перед перезапуском сервера
+admin.post('/notice', validateRequest('body', routeSchemas.adminNotice), (req, res, next) => {
+  const { message, level = 'info', gameKey: rawKey } = req.validated.body;
+  const notice = { level, message, timestamp: Date.now() };
+  const gameKey = rawKey ? normalizeGameKey(rawKey) : null;
+
+  (gameKey ? gameStore.has(gameKey) : Promise.resolve(true)).then((exists) => {
+    if (!exists) {
+      return sendRoomNotFound(res);
+    }
+    if (gameKey) {
+      io.to(getAudience(gameKey)).emit("SERVER_NOTICE", notice);
+    } else {
+      io.emit("SERVER_NOTICE", notice);
+    }
+
+    logger.info("Server notice sent", { level, gameKey });
+    res.json({ success: true, ...notice, recipients: gameKey ? 'room' : 'all' });
+  }).catch(next);
+});
+
+app.use('/api/admin', admin);
+
+const CLEANUP_INTERVAL_MS = 3600000;
+
+setInterval(async () => {
+  aiIpLimiter.prune();
+  dictionaryUploadLimiter.prune();
+  aiGeneration.prune();
+
+  try {
+    // Общие комнаты чистит один экземпляр за интервал
+    if (!(await gameStore.tryLease("cleanup", CLEANUP_INTERVAL_MS - 60000))) return;
+
+    const oneHourAgo = Date.now() - 3600000;
+    let cleanedGames = 0;
+
+    for (const key of await gameStore.keys()) {
+      await gameStore.withLock(key, async () => {
+        const game = await gameStore.get(key);
+        if (game && game.lastActivity < oneHourAgo) {
+          logger.debug("Cleaning inactive game", { gameKey: key, lastActivity: new Date(game.lastActivity).toISOString() });
+          await destroyGame(key);
+          cleanedGames++;
+        } else if (game && countSpectators(game) > 0) {
+          // Зрители экземпляра, упавшего после последнего пересчёта
+          game.spectators = await countRoomSpectators(key);
+          await saveGame(key, game);
+          emitSpectatorCount(key, game);
+        }
+      });
+    }
+
+    cleanupRuns.inc();
+    cleanupRemovedGames.inc({}, cleanedGames);
+    logger.info("Cleanup finished", { cleanedGames, remainingGames: await gameStore.count() });
+  } catch (error) {
+    logger.error("Cleanup failed", { error });
+  }
+}, CLEANUP_INTERVAL_MS);
+
+// Поднимаем игры, сохранённые до перезапуска, и только потом принимаем подключения
+const loadPersistedGames = async () => {
+  const dictionaries = await customDictionaries.loadAll();
+  const restored = await gameStore.init();
+  restored.forEach(({ gameKey, game }) => {
+    // После перезапуска все игроки считаются отключившимися и получают отсрочку
+    game.players.forEach((player, playerId) => presence.disconnected(gameKey, playerId));
   });
+  logger.info("Restored persisted state", { games: restored.length, customDictionaries: dictionaries });
+};
 
-  console.log("Games cleaned:", cleanedGames);
-  console.log("Remaining games:", activeGames.size);
-  console.log("=== END CLEANUP ===\n");
-}, 3600000);
+// Битый JSON и слишком большие тела запросов — тем же форматом ошибки, что и остальные ответы
+app.use((error, req, res, next) => {
+  if (error.type === 'entity.parse.failed' || error.type === 'entity.too.large') {
+    return res.status(error.status).json({
+      success: false,
+      code: error.type === 'entity.too.large' ? 'PAYLOAD_TOO_LARGE' : 'INVALID_JSON',
+      message: error.type === 'entity.too.large' ? 'Слишком большой запрос' : 'Некорректный JSON'
+    });
+  }
+  if (res.headersSent) {
+    return next(error);
+  }
+  // Например, общее хранилище недоступно: ответ в общем формате вместо падения процесса
+  logger.error("Request failed", { method: req.method, path: req.path, error });
+  res.status(500).json({
+    success: false,
+    code: 'INTERNAL_ERROR',
+    message: 'Внутренняя ошибка сервера'
+  });
+});
 
 const PORT = process.env.PORT;
-httpServer.listen(PORT, () => {
-  console.log(`Server is running on port ${PORT}`);
-  console.log(`View statistics at http://localhost:${PORT}/`);
+loadPersistedGames().then(() => {
+  httpServer.listen(PORT, () => {
+    logger.info("Server is running", { port: Number(PORT), statsUrl: `http://localhost:${PORT}/` });
+  });
+}).catch((error) => {
+  // Без сохранённых игр и словарей сервер не поднимаем: пусть перезапустит супервизор
+  logger.error("Failed to restore persisted state", { error });
+  process.exit(1);
 });
 
 process.on('SIGINT', async () => {
-  console.log('\nShutting down server...');
+  logger.info('Shutting down server');
+  turnTimers.shutdown();
+  presence.shutdown();
+  spectators.shutdown();
+  await gameStore.shutdown();
+  await aiGamesFile.shutdown();
   await gameStats.shutdown();
+  // Если Redis уже недоступен, всё равно завершаемся штатно
+  await Promise.all([customDictionaries.shutdown(), redis?.quit(), redisSubscriber?.quit()])
+    .catch((error) => logger.error('Error closing Redis connections', { error }));
   process.exit(0);
 });
 
 process.on('SIGTERM', async () => {
-  console.log('\nShutting down server...');
+  logger.info('Shutting down server');
+  turnTimers.shutdown();
+  presence.shutdown();
+  spectators.shutdown();
+  await gameStore.shutdown();
+  await aiGamesFile.shutdown();
   await gameStats.shutdown();
+  // Если Redis уже недоступен, всё равно завершаемся штатно
+  await Promise.all([customDictionaries.shutdown(), redis?.quit(), redisSubscriber?.quit()])
+    .catch((error) => logger.error('Error closing Redis connections', { error }));
   process.exit(0);
 });
\ No newline at end of file
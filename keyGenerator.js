@@ -1,30 +1,240 @@
 /**
- * Утилита для генерации ИИ-ключей в бэкенде
+ * Генерация и разбор ключей игр.
+ * Ключ: произносимое тело (согласная, гласная, ...), необязательная
+ * контрольная буква для поиска опечаток и буква типа словаря в конце
  */
 
+const crypto = require('crypto');
+const { normalizeGameKey } = require('./boardGenerator');
+
 const CONSONANTS = [
   "Б", "В", "Г", "Д", "З", "К", "Л", "М", "Н", "П", "Р", "С", "Т", "Х"
 ];
 const VOWELS = ["А", "И", "О", "У", "Е", "Я"];
 
+// Контрольная буква считается по модулю простого числа: так ловится
+// любая замена одной буквы и перестановка соседних
+const CHECK_ALPHABET = [...CONSONANTS, ...VOWELS].slice(0, 19);
+const LETTER_VALUES = new Map([...CONSONANTS, ...VOWELS].map((letter, i) => [letter, i + 1]));
+
+// Старые ИИ-ключи: 6 букв тела без контрольной буквы
+const LEGACY_BODY_LENGTH = 6;
+const MIN_BODY_LENGTH = 4;
+const MAX_BODY_LENGTH = 16;
+
+const DEFAULT_SUFFIXES = {
+  ai: 'Н',
+  basic: 'Б',
+  room: 'К'
+};
+
+/**
+ * Сервис ключей: генерация без коллизий, разбор и заполненность пространства ключей
+ */
+class KeyService {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.bodyLength] - длина произносимой части (KEY_LENGTH)
+   * @param {boolean} [options.checkChar] - добавлять контрольную букву (KEY_CHECK_CHAR)
+   * @param {Object<string, string>} [options.suffixes] - тип словаря -> буква в конце ключа
+   */
+  constructor({ bodyLength, checkChar, suffixes = DEFAULT_SUFFIXES } = {}) {
+    const length = bodyLength ?? (Number(process.env.KEY_LENGTH) || 8);
+    this.bodyLength = Math.min(MAX_BODY_LENGTH, Math.max(MIN_BODY_LENGTH, Math.floor(length)));
+    this.checkChar = checkChar ?? process.env.KEY_CHECK_CHAR !== 'false';
+    this.suffixes = new Map();
+    this.types = new Map();
+    Object.entries(suffixes).forEach(([type, letter]) => this.registerSuffix(type, letter));
+  }
+
+  /**
+   * Регистрация буквы типа словаря
+   * @param {string} type - тип словаря (ai, basic, room или имя своего словаря)
+   * @param {string} letter - кириллическая буква
+   */
+  registerSuffix(type, letter) {
+    const suffix = normalizeGameKey(letter);
+    if (!/^[А-ЯЁ]$/.test(suffix)) {
+      throw new Error(`Буква словаря должна быть одной кириллической буквой: ${letter}`);
+    }
+    const owner = this.types.get(suffix);
+    if (owner && owner !== type) {
+      throw new Error(`Буква ${suffix} уже занята словарём ${owner}`);
+    }
+
+    this.suffixes.set(type, suffix);
+    this.types.set(suffix, type);
+  }
+
+  unregisterSuffix(type) {
+    const suffix = this.suffixes.get(type);
+    if (suffix) {
+      this.suffixes.delete(type);
+      this.types.delete(suffix);
+    }
+  }
+
+  getSuffix(type) {
+    return this.suffixes.get(type) || null;
+  }
+
+  getType(suffix) {
+    return this.types.get(suffix) || null;
+  }
+
+  static computeCheckChar(body, suffix) {
+    let sum = 0;
+    [...body, suffix].forEach((letter, i) => {
+      sum += (i + 1) * (LETTER_VALUES.get(letter) || 0);
+    });
+    return CHECK_ALPHABET[sum % CHECK_ALPHABET.length];
+  }
+
+  static isBody(body) {
+    return [...body].every((letter, i) => (i % 2 === 1 ? VOWELS : CONSONANTS).includes(letter));
+  }
+
+  static randomBody(length) {
+    let body = '';
+    for (let i = 0; i < length; i++) {
+      const letters = i % 2 === 1 ? VOWELS : CONSONANTS;
+      body += letters[crypto.randomInt(letters.length)];
+    }
+    return body;
+  }
+
+  /**
+   * Новый ключ без проверки уникальности
+   * @param {string} type - тип словаря
+   * @param {number} [bodyLength] - длина тела, по умолчанию из настроек
+   * @returns {string}
+   */
+  generate(type, bodyLength = this.bodyLength) {
+    const suffix = this.getSuffix(type);
+    if (!suffix) {
+      throw new Error(`Неизвестный тип ключа: ${type}`);
+    }
+
+    const body = KeyService.randomBody(bodyLength);
+    const check = this.checkChar ? KeyService.computeCheckChar(body, suffix) : '';
+    return body + check + suffix;
+  }
+
+  /**
+   * Новый ключ, которого ещё нет. Если раз за разом попадаются занятые ключи,
+   * тело удлиняется на слог
+   * @param {string} type - тип словаря
+   * @param {function(string): (boolean|Promise<boolean>)} exists - занят ли ключ
+   * @param {number} [attempts] - попыток на каждую длину
+   * @returns {Promise<string>}
+   */
+  async generateUnique(type, exists, attempts = 5) {
+    for (let length = this.bodyLength; length <= MAX_BODY_LENGTH; length += 2) {
+      for (let i = 0; i < attempts; i++) {
+        const key = this.generate(type, length);
+        if (!(await exists(key))) {
+          return key;
+        }
+      }
+    }
+    throw new Error('Не удалось сгенерировать уникальный ключ');
+  }
+
+  /**
+   * Разбор ключа без учёта регистра и с заменой латинских двойников.
+   * generated — ключ похож на выданный сервером; typo — похож, но контрольная буква не сходится
+   * @param {string} rawKey - ключ от пользователя
+   * @returns {{key: string, type: string|null, generated: boolean, checked: boolean, typo: boolean}}
+   */
+  parse(rawKey) {
+    const key = normalizeGameKey(rawKey);
+    const result = { key, type: null, generated: false, checked: false, typo: false };
+
+    const suffix = key.slice(-1);
+    const type = this.types.get(suffix);
+    const rest = key.slice(0, -1);
+    if (!type) {
+      return result;
+    }
+
+    if (this.checkChar) {
+      const body = rest.slice(0, -1);
+      if (this.isIssuedLength(body.length) && KeyService.isBody(body)) {
+        if (rest.slice(-1) === KeyService.computeCheckChar(body, suffix)) {
+          return { ...result, type, generated: true, checked: true };
+        }
+        if (rest.length !== LEGACY_BODY_LENGTH || !KeyService.isBody(rest)) {
+          // Длина и буквы как у выданного ключа, а контрольная буква не та
+          return { ...result, typo: true };
+        }
+      }
+    } else if (this.isIssuedLength(rest.length) && KeyService.isBody(rest)) {
+      return { ...result, type, generated: true };
+    }
+
+    if (rest.length === LEGACY_BODY_LENGTH && KeyService.isBody(rest)) {
+      return { ...result, type, generated: true };
+    }
+
+    return result;
+  }
+
+  /**
+   * Может ли тело такой длины выдать generate: настроенная длина,
+   * удлинённая generateUnique на целые слоги
+   * @param {number} length - длина тела
+   * @returns {boolean}
+   */
+  isIssuedLength(length) {
+    return length >= this.bodyLength && length <= MAX_BODY_LENGTH && (length - this.bodyLength) % 2 === 0;
+  }
+
+  /**
+   * Ёмкость пространства ключей одного типа при текущей длине
+   * @returns {number}
+   */
+  getCapacity() {
+    const vowels = Math.floor(this.bodyLength / 2);
+    return CONSONANTS.length ** (this.bodyLength - vowels) * VOWELS.length ** vowels;
+  }
+
+  /**
+   * Сколько пространства ключей занято по каждому типу
+   * @param {Iterable<string>} keys - занятые ключи
+   * @param {Object<string, number>} [counts] - готовые счётчики по типам; ключи этих типов
+   *   из keys не пересчитываются (например, все ИИ-ключи уже учтены числом ИИ-игр)
+   * @returns {{bodyLength: number, checkChar: boolean, capacity: number, types: Object}}
+   */
+  getUsage(keys, counts = {}) {
+    const capacity = this.getCapacity();
+    const types = {};
+    this.suffixes.forEach((suffix, type) => {
+      types[type] = { suffix, used: counts[type] || 0, ratio: 0 };
+    });
+
+    for (const key of keys) {
+      const { type, generated } = this.parse(key);
+      if (generated && !(type in counts)) {
+        types[type].used++;
+      }
+    }
+
+    Object.values(types).forEach((usage) => {
+      usage.ratio = usage.used / capacity;
+    });
+
+    return { bodyLength: this.bodyLength, checkChar: this.checkChar, capacity, types };
+  }
+}
+
+const defaultKeyService = new KeyService();
+
 /**
  * Генерация нового ИИ-ключа
- * @returns {string} - новый ключ формата СГСГСГН
+ * @returns {string}
  */
 function generateAIKey() {
-  const key = [];
-  
-  // Генерируем СГСГСГ паттерн
-  for (let i = 0; i < 6; i++) {
-    const isVowel = i % 2 === 1;
-    const letters = isVowel ? VOWELS : CONSONANTS;
-    key.push(letters[Math.floor(Math.random() * letters.length)]);
-  }
-  
-  // Добавляем букву ИИ-словаря
-  key.push('Н');
-  
-  return key.join('');
+  return defaultKeyService.generate('ai');
 }
 
 /**
@@ -33,10 +243,12 @@ function generateAIKey() {
  * @returns {boolean}
  */
 function isAIKey(key) {
-  return key && key.length === 7 && key[6] === 'Н';
+  return defaultKeyService.parse(key).type === 'ai';
 }
 
 module.exports = {
+  KeyService,
+  defaultKeyService,
   generateAIKey,
   isAIKey
-};
\ No newline at end of file
+};
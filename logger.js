@@ -0,0 +1,107 @@
+/**
+ * Структурированный логгер: одна JSON-строка на запись.
+ * Уровень задаётся LOG_LEVEL (debug, info, warn, error, silent),
+ * LOG_FORMAT=pretty печатает читаемые строки для локальной разработки
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+// Error при JSON.stringify превращается в {}, поэтому раскладываем его вручную
+const serializeError = (error) => ({
+  name: error.name,
+  message: error.message,
+  code: error.code,
+  stack: error.stack
+});
+
+const normalizeFields = (fields) => {
+  const result = {};
+  Object.entries(fields).forEach(([key, value]) => {
+    result[key] = value instanceof Error ? serializeError(value) : value;
+  });
+  return result;
+};
+
+class Logger {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.level] - минимальный уровень записи
+   * @param {'json'|'pretty'} [options.format] - формат вывода
+   * @param {Object} [options.bindings] - поля, добавляемые к каждой записи
+   * @param {NodeJS.WritableStream} [options.stream] - куда писать
+   */
+  constructor({
+    level = process.env.LOG_LEVEL || 'info',
+    format = process.env.LOG_FORMAT || 'json',
+    bindings = {},
+    stream = process.stdout
+  } = {}) {
+    this.level = LEVELS[level] ?? LEVELS.info;
+    this.levelName = level in LEVELS ? level : 'info';
+    this.format = format;
+    this.bindings = bindings;
+    this.stream = stream;
+  }
+
+  /**
+   * Логгер с дополнительными постоянными полями (например, { module: 'ai' })
+   * @param {Object} bindings
+   * @returns {Logger}
+   */
+  child(bindings) {
+    return new Logger({
+      level: this.levelName,
+      format: this.format,
+      bindings: { ...this.bindings, ...bindings },
+      stream: this.stream
+    });
+  }
+
+  isEnabled(level) {
+    return LEVELS[level] >= this.level;
+  }
+
+  write(level, msg, fields = {}) {
+    if (!this.isEnabled(level)) return;
+
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      msg,
+      ...this.bindings,
+      ...normalizeFields(fields)
+    };
+
+    if (this.format === 'pretty') {
+      const { time, level: _level, msg: _msg, ...rest } = entry;
+      const extra = Object.keys(rest).length > 0 ? ` ${JSON.stringify(rest)}` : '';
+      this.stream.write(`${time} ${level.toUpperCase().padEnd(5)} ${msg}${extra}\n`);
+      return;
+    }
+    this.stream.write(`${JSON.stringify(entry)}\n`);
+  }
+
+  debug(msg, fields) {
+    this.write('debug', msg, fields);
+  }
+
+  info(msg, fields) {
+    this.write('info', msg, fields);
+  }
+
+  warn(msg, fields) {
+    this.write('warn', msg, fields);
+  }
+
+  error(msg, fields) {
+    this.write('error', msg, fields);
+  }
+}
+
+const logger = new Logger();
+
+module.exports = {
+  LEVELS,
+  Logger,
+  logger
+};
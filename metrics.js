@@ -0,0 +1,236 @@
+/**
+ * Метрики в текстовом формате Prometheus без внешних зависимостей:
+ * счётчики, значения (gauge) и гистограммы с метками
+ */
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+const formatLabels = (labels) => {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+};
+
+const labelsKey = (labelNames, labels) => JSON.stringify(labelNames.map((name) => labels[name] ?? ''));
+
+class Metric {
+  constructor(type, { name, help, labelNames = [] }) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    // JSON значений меток -> { labels, value }
+    this.series = new Map();
+  }
+
+  getSeries(labels = {}) {
+    const key = labelsKey(this.labelNames, labels);
+    if (!this.series.has(key)) {
+      const picked = {};
+      this.labelNames.forEach((label) => {
+        picked[label] = labels[label] ?? '';
+      });
+      this.series.set(key, { labels: picked, ...this.createValue() });
+    }
+    return this.series.get(key);
+  }
+
+  createValue() {
+    return { value: 0 };
+  }
+
+  renderSeries() {
+    return [...this.series.values()].map(({ labels, value }) => `${this.name}${formatLabels(labels)} ${value}`);
+  }
+
+  render() {
+    return [
+      `# HELP ${this.name} ${this.help}`,
+      `# TYPE ${this.name} ${this.type}`,
+      ...this.renderSeries()
+    ].join('\n');
+  }
+}
+
+class Counter extends Metric {
+  constructor(options) {
+    super('counter', options);
+    // Счётчик без меток виден в выдаче с нуля, ещё до первого события
+    if (this.labelNames.length === 0) {
+      this.getSeries();
+    }
+  }
+
+  inc(labels = {}, amount = 1) {
+    this.getSeries(labels).value += amount;
+  }
+}
+
+/**
+ * Значение, которое можно выставить напрямую или вычислять при каждом сборе через collect
+ */
+class Gauge extends Metric {
+  constructor({ collect = null, ...options }) {
+    super('gauge', options);
+    this.collect = collect;
+  }
+
+  set(labels, value) {
+    if (typeof labels === 'number') {
+      [labels, value] = [{}, labels];
+    }
+    this.getSeries(labels).value = value;
+  }
+
+  render() {
+    if (this.collect) {
+      const collected = this.collect();
+      if (typeof collected === 'number') {
+        this.set(collected);
+      } else {
+        collected.forEach(({ labels, value }) => this.set(labels, value));
+      }
+    }
+    return super.render();
+  }
+}
+
+class Histogram extends Metric {
+  constructor({ buckets = [0.1, 0.5, 1, 2.5, 5, 10, 30, 60], ...options }) {
+    super('histogram', options);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  createValue() {
+    return { counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+  }
+
+  observe(labels, value) {
+    const series = this.getSeries(labels);
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) series.counts[i]++;
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  /**
+   * Замер времени: вызов возвращённой функции записывает прошедшие секунды
+   * @param {Object} [labels] - метки, известные заранее
+   * @returns {function(Object=): number}
+   */
+  startTimer(labels = {}) {
+    const start = process.hrtime.bigint();
+    return (extraLabels = {}) => {
+      const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+      this.observe({ ...labels, ...extraLabels }, seconds);
+      return seconds;
+    };
+  }
+
+  renderSeries() {
+    const lines = [];
+    this.series.forEach(({ labels, counts, sum, count }) => {
+      this.buckets.forEach((bound, i) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[i]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${sum}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+    });
+    return lines;
+  }
+}
+
+class Registry {
+  constructor() {
+    this.metrics = new Map();
+  }
+
+  register(metric) {
+    if (this.metrics.has(metric.name)) {
+      throw new Error(`Метрика ${metric.name} уже зарегистрирована`);
+    }
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  counter(options) {
+    return this.register(new Counter(options));
+  }
+
+  gauge(options) {
+    return this.register(new Gauge(options));
+  }
+
+  histogram(options) {
+    return this.register(new Histogram(options));
+  }
+
+  render() {
+    return `${[...this.metrics.values()].map((metric) => metric.render()).join('\n\n')}\n`;
+  }
+}
+
+const registry = new Registry();
+
+// Метрики, которые пишут сервисы; gauge активных игр и соединений регистрирует index.js
+const socketEvents = registry.counter({
+  name: 'codenames_socket_events_total',
+  help: 'Socket.IO events received, by event type',
+  labelNames: ['event']
+});
+const socketErrors = registry.counter({
+  name: 'codenames_socket_errors_total',
+  help: 'ERROR events sent to clients, by event type and error code',
+  labelNames: ['event', 'code']
+});
+const aiRequestDuration = registry.histogram({
+  name: 'codenames_ai_request_duration_seconds',
+  help: 'Latency of LLM provider requests',
+  labelNames: ['provider', 'outcome']
+});
+const aiGenerations = registry.counter({
+  name: 'codenames_ai_generations_total',
+  help: 'AI word list generations, by result',
+  labelNames: ['result']
+});
+const aiGenerationFailures = registry.counter({
+  name: 'codenames_ai_generation_failures_total',
+  help: 'Failed AI word list generations, by error code',
+  labelNames: ['code']
+});
+const cleanupRuns = registry.counter({
+  name: 'codenames_cleanup_runs_total',
+  help: 'Inactive game cleanup passes'
+});
+const cleanupRemovedGames = registry.counter({
+  name: 'codenames_cleanup_removed_games_total',
+  help: 'Games removed by the inactive game cleanup'
+});
+
+registry.gauge({
+  name: 'process_resident_memory_bytes',
+  help: 'Resident memory size in bytes',
+  collect: () => process.memoryUsage().rss
+});
+registry.gauge({
+  name: 'process_uptime_seconds',
+  help: 'Process uptime in seconds',
+  collect: () => Math.floor(process.uptime())
+});
+
+module.exports = {
+  Counter,
+  Gauge,
+  Histogram,
+  Registry,
+  registry,
+  socketEvents,
+  socketErrors,
+  aiRequestDuration,
+  aiGenerations,
+  aiGenerationFailures,
+  cleanupRuns,
+  cleanupRemovedGames
+};
@@ -0,0 +1,94 @@
+const crypto = require('crypto');
+
+const DEFAULT_PLAYER_NAME = 'Игрок';
+const MAX_NAME_LENGTH = 32;
+const TOKEN_PATTERN = /^[A-Za-z0-9_-]{20,64}$/;
+
+/**
+ * Идентификатор игрока выводится из токена, поэтому переживает
+ * и переподключения, и перезапуск сервера, а сам токен никому не раскрывается
+ * @param {string} playerToken - секретный токен игрока
+ * @returns {string}
+ */
+function getPlayerId(playerToken) {
+  return crypto.createHash('sha256').update(playerToken).digest('hex').slice(0, 16);
+}
+
+function generatePlayerToken() {
+  return crypto.randomBytes(24).toString('base64url');
+}
+
+function normalizePlayerName(name) {
+  const trimmed = typeof name === 'string' ? name.trim().slice(0, MAX_NAME_LENGTH) : '';
+  return trimmed || DEFAULT_PLAYER_NAME;
+}
+
+/**
+ * Middleware рукопожатия Socket.IO: клиент передаёт { playerToken, name } в auth,
+ * без валидного токена сервер выдаёт новый
+ */
+function sessionMiddleware(socket, next) {
+  const auth = socket.handshake.auth || {};
+  const playerToken = TOKEN_PATTERN.test(auth.playerToken || '') ? auth.playerToken : generatePlayerToken();
+
+  socket.data.playerToken = playerToken;
+  socket.data.playerId = getPlayerId(playerToken);
+  socket.data.name = normalizePlayerName(auth.name);
+  next();
+}
+
+/**
+ * Отсрочка перед удалением отключившегося игрока из комнаты
+ */
+class PresenceTracker {
+  /**
+   * @param {number} graceMs - сколько ждать переподключения
+   * @param {function(string, string): void} onExpire - (gameKey, playerId) — игрок так и не вернулся
+   */
+  constructor(graceMs, onExpire) {
+    this.graceMs = graceMs;
+    this.onExpire = onExpire;
+    this.timers = new Map();
+  }
+
+  disconnected(gameKey, playerId) {
+    this.reconnected(gameKey, playerId);
+    const id = `${gameKey}:${playerId}`;
+    this.timers.set(id, setTimeout(() => {
+      this.timers.delete(id);
+      this.onExpire(gameKey, playerId);
+    }, this.graceMs));
+  }
+
+  reconnected(gameKey, playerId) {
+    const id = `${gameKey}:${playerId}`;
+    const timer = this.timers.get(id);
+    if (timer) {
+      clearTimeout(timer);
+      this.timers.delete(id);
+    }
+  }
+
+  clearGame(gameKey) {
+    this.timers.forEach((timer, id) => {
+      if (id.startsWith(`${gameKey}:`)) {
+        clearTimeout(timer);
+        this.timers.delete(id);
+      }
+    });
+  }
+
+  shutdown() {
+    this.timers.forEach((timer) => clearTimeout(timer));
+    this.timers.clear();
+  }
+}
+
+module.exports = {
+  DEFAULT_PLAYER_NAME,
+  getPlayerId,
+  generatePlayerToken,
+  normalizePlayerName,
+  sessionMiddleware,
+  PresenceTracker
+};
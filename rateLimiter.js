@@ -0,0 +1,96 @@
+/**
+ * Ограничение частоты запросов на основе token bucket
+ */
+
+class TokenBucket {
+  /**
+   * @param {number} capacity - максимальное число токенов (размер всплеска)
+   * @param {number} refillPerMinute - сколько токенов восполняется за минуту
+   */
+  constructor(capacity, refillPerMinute) {
+    this.capacity = capacity;
+    this.refillPerMs = refillPerMinute / 60000;
+    this.tokens = capacity;
+    this.updatedAt = Date.now();
+  }
+
+  refill(now = Date.now()) {
+    this.tokens = Math.min(this.capacity, this.tokens + (now - this.updatedAt) * this.refillPerMs);
+    this.updatedAt = now;
+  }
+
+  /**
+   * Попытка забрать токен
+   * @returns {{allowed: boolean, retryAfterMs: number}}
+   */
+  take(now = Date.now()) {
+    this.refill(now);
+    if (this.tokens >= 1) {
+      this.tokens -= 1;
+      return { allowed: true, retryAfterMs: 0 };
+    }
+    return { allowed: false, retryAfterMs: Math.ceil((1 - this.tokens) / this.refillPerMs) };
+  }
+
+  isFull(now = Date.now()) {
+    this.refill(now);
+    return this.tokens >= this.capacity;
+  }
+}
+
+/**
+ * Набор корзин по ключу (например, IP-адресу)
+ */
+class KeyedRateLimiter {
+  constructor(capacity, refillPerMinute) {
+    this.capacity = capacity;
+    this.refillPerMinute = refillPerMinute;
+    this.buckets = new Map();
+  }
+
+  take(key) {
+    let bucket = this.buckets.get(key);
+    if (!bucket) {
+      bucket = new TokenBucket(this.capacity, this.refillPerMinute);
+      this.buckets.set(key, bucket);
+    }
+    return bucket.take();
+  }
+
+  // Полные корзины ничем не отличаются от новых, их можно забыть
+  prune() {
+    this.buckets.forEach((bucket, key) => {
+      if (bucket.isFull()) {
+        this.buckets.delete(key);
+      }
+    });
+  }
+}
+
+/**
+ * Express middleware: 429 с заголовком Retry-After, когда корзина клиента пуста
+ * @param {KeyedRateLimiter} limiter - ограничитель
+ * @param {function(Object): string} [getKey] - ключ клиента, по умолчанию IP
+ */
+function rateLimit(limiter, getKey = (req) => req.ip) {
+  return (req, res, next) => {
+    const { allowed, retryAfterMs } = limiter.take(getKey(req));
+    if (allowed) {
+      return next();
+    }
+
+    res.set('Retry-After', String(Math.ceil(retryAfterMs / 1000)));
+    res.status(429).json({
+      success: false,
+      code: 'RATE_LIMITED',
+      message: 'Слишком много запросов, попробуйте позже',
+      retryAfter: Math.ceil(retryAfterMs / 1000)
+    });
+  };
+}
+
+module.exports = {
+  TokenBucket,
+  KeyedRateLimiter,
+  rateLimit
+};
@@ -0,0 +1,167 @@
+/**
+ * Схемы входящих событий Socket.IO и тел REST-запросов
+ */
+
+const { TEAM_COLORS, MAX_TEAMS, MIN_BOARD_SIDE, MAX_BOARD_SIDE, BOARD_PRESETS } = require('./boardGenerator');
+const { GAME_MODES, ROLES, MAX_CLUE_NUMBER } = require('./gameState');
+const { DUET_SIDES } = require('./duet');
+const { MAX_TIMER_SECONDS } = require('./turnTimers');
+const {
+  ValidationError, string, integer, integerString, boolean, oneOf, array, object, optional
+} = require('./validation');
+const { MAX_DICTIONARY_WORDS } = require('./customDictionaries');
+const { SPECTATOR_VIEWS } = require('./spectators');
+const { CHAT_CHANNELS, MAX_CHAT_LENGTH } = require('./chat');
+
+const MAX_BOARD_CARDS = MAX_BOARD_SIDE * MAX_BOARD_SIDE;
+const MAX_TOPIC_LENGTH = 100;
+
+const gameKey = string({ min: 1, max: 32, pattern: /^[\p{L}\p{N}_-]+$/u });
+// Цвета команд и стороны «Дуэта»
+const team = oneOf([...TEAM_COLORS, ...DUET_SIDES]);
+const role = oneOf(ROLES);
+
+const dictionaryName = string({ min: 1, max: 32, pattern: /^[a-z0-9_-]+$/i });
+
+const shareToken = string({ min: 1, max: 64 });
+const isoDate = (value, path) => {
+  const date = string({ pattern: /^\d{4}-\d{2}-\d{2}$/ })(value, path);
+  // Date.parse сдвигает 31 февраля на март, поэтому сверяем дату после разбора
+  const parsed = new Date(`${date}T00:00:00Z`);
+  if (Number.isNaN(parsed.getTime()) || parsed.toISOString().slice(0, 10) !== date) {
+    throw new ValidationError(path, 'ожидалась дата в формате YYYY-MM-DD');
+  }
+  return date;
+};
+
+// Цвета команд в порядке ходов, без повторов
+const teamOrder = (value, path) => {
+  const teams = array(oneOf(TEAM_COLORS), { min: 2, max: MAX_TEAMS })(value, path);
+  if (new Set(teams).size !== teams.length) {
+    throw new ValidationError(path, 'цвета команд не должны повторяться');
+  }
+  return teams;
+};
+
+// Пресет поля и, при желании, свои числа карт; сумму проверяет resolveLayout
+const boardLayout = object({
+  preset: optional(oneOf(Object.keys(BOARD_PRESETS))),
+  side: optional(integer({ min: MIN_BOARD_SIDE, max: MAX_BOARD_SIDE })),
+  first: optional(integer({ min: 1, max: MAX_BOARD_CARDS })),
+  second: optional(integer({ min: 1, max: MAX_BOARD_CARDS })),
+  assassins: optional(integer({ min: 0, max: MAX_BOARD_CARDS }))
+});
+
+const gameOptions = object({
+  mode: optional(oneOf(GAME_MODES)),
+  layout: optional(boardLayout),
+  teams: optional(teamOrder),
+  dictionary: optional(dictionaryName),
+  shareToken: optional(shareToken),
+  // Разрешить зрителям вид капитана с задержкой (для трансляций, от подглядывания не защищает)
+  spymasterView: optional(boolean()),
+  timers: optional(object({
+    clue: optional(integer({ min: 0, max: MAX_TIMER_SECONDS })),
+    guess: optional(integer({ min: 0, max: MAX_TIMER_SECONDS }))
+  }))
+});
+
+const eventSchemas = {
+  JOIN_GAME: object({
+    gameKey,
+    options: optional(gameOptions),
+    team: optional(team),
+    role: optional(role)
+  }),
+  NEW_GAME: object({
+    gameKey,
+    options: optional(gameOptions),
+    team: optional(team),
+    role: optional(role)
+  }),
+  REVEAL_CARD: object({
+    gameKey,
+    cardIndex: integer({ min: 0, max: MAX_BOARD_CARDS - 1 })
+  }),
+  GIVE_CLUE: object({
+    gameKey,
+    word: string({ min: 1, max: 40 }),
+    number: integer({ min: 0, max: MAX_CLUE_NUMBER })
+  }),
+  SPECTATE_GAME: object({
+    gameKey,
+    view: optional(oneOf(SPECTATOR_VIEWS))
+  }),
+  STOP_SPECTATING: object({ gameKey }),
+  END_TURN: object({ gameKey }),
+  UNDO_LAST: object({ gameKey }),
+  SET_ROLE: object({
+    gameKey,
+    team: optional(team),
+    role: optional(role)
+  }),
+  CHAT_MESSAGE: object({
+    gameKey,
+    channel: optional(oneOf(CHAT_CHANNELS)),
+    text: string({ min: 1, max: MAX_CHAT_LENGTH })
+  })
+};
+
+const routeSchemas = {
+  generateWords: object({
+    topic: string({ min: 1, max: MAX_TOPIC_LENGTH }),
+    // Слов генерируется столько, сколько карт в раскладке
+    layout: optional(boardLayout)
+  }),
+  gameKeyParams: object({
+    key: gameKey
+  }),
+  newGameKey: object({
+    dictionary: optional(dictionaryName)
+  }),
+  dictionaryParams: object({
+    name: dictionaryName
+  }),
+  dictionaryQuery: object({
+    version: optional(integerString({ min: 1, max: 100000 })),
+    shareToken: optional(shareToken)
+  }),
+  uploadDictionary: object({
+    name: dictionaryName,
+    title: optional(string({ min: 1, max: 60 })),
+    words: array(string({ max: 100 }), { min: 1, max: MAX_DICTIONARY_WORDS }),
+    private: optional(boolean()),
+    suffix: optional(string({ min: 1, max: 1, pattern: /^[А-Я]$/ }))
+  }),
+  statsHistoryQuery: object({
+    from: optional(isoDate),
+    to: optional(isoDate),
+    granularity: optional(oneOf(['day', 'week', 'month']))
+  }),
+  socketParams: object({
+    socketId: string({ min: 1, max: 64, pattern: /^[A-Za-z0-9_-]+$/ })
+  }),
+  adminKick: object({
+    reason: optional(string({ min: 1, max: 200 }))
+  }),
+  adminNotice: object({
+    message: string({ min: 1, max: 500 }),
+    level: optional(oneOf(['info', 'warning'])),
+    gameKey: optional(gameKey)
+  }),
+  adminEndGame: object({
+    reason: optional(string({ min: 1, max: 200 }))
+  }),
+  aiGamesQuery: object({
+    topic: optional(string({ max: MAX_TOPIC_LENGTH })),
+    page: optional(integerString({ min: 1, max: 100000 })),
+    limit: optional(integerString({ min: 1, max: 100 }))
+  })
+};
+
+module.exports = {
+  MAX_BOARD_CARDS,
+  MAX_TOPIC_LENGTH,
+  eventSchemas,
+  routeSchemas
+};
@@ -0,0 +1,98 @@
+/**
+ * Зрители комнат: не входят в game.players, не влияют на ход игры
+ * и получают состояние отдельно от игроков. Счётчик зрителей в самой игре
+ * (game.spectators) пересчитывается по комнатам Socket.IO всех экземпляров,
+ * здесь — только сокеты этого экземпляра и отложенные рассылки
+ */
+
+const SPECTATOR_VIEWS = ['public', 'spymaster'];
+
+/**
+ * Комнаты Socket.IO, куда рассылается состояние для зрителей каждого вида
+ * @param {string} gameKey - ключ игры
+ * @param {'public'|'spymaster'} view - вид
+ * @returns {string}
+ */
+function getSpectatorRoom(gameKey, view) {
+  return `${gameKey}#${view}`;
+}
+
+class SpectatorRegistry {
+  /**
+   * @param {number} delayMs - задержка вида капитана (SPECTATOR_DELAY_SECONDS)
+   */
+  constructor(delayMs) {
+    this.delayMs = delayMs;
+    // gameKey -> Map(socketId -> { playerId, name, view })
+    this.games = new Map();
+    // gameKey -> Set отложенных рассылок вида капитана
+    this.pending = new Map();
+  }
+
+  add(gameKey, socketId, spectator) {
+    if (!this.games.has(gameKey)) {
+      this.games.set(gameKey, new Map());
+    }
+    this.games.get(gameKey).set(socketId, spectator);
+  }
+
+  remove(gameKey, socketId) {
+    const spectators = this.games.get(gameKey);
+    if (!spectators || !spectators.delete(socketId)) return false;
+
+    if (spectators.size === 0) {
+      this.games.delete(gameKey);
+    }
+    return true;
+  }
+
+  get size() {
+    let total = 0;
+    this.games.forEach((spectators) => {
+      total += spectators.size;
+    });
+    return total;
+  }
+
+  /**
+   * Отложенная рассылка вида капитана: снимок берётся сейчас, уходит через delayMs
+   * @param {string} gameKey - ключ игры
+   * @param {function(): void} send - рассылка снимка
+   */
+  delay(gameKey, send) {
+    if (this.delayMs === 0) {
+      send();
+      return;
+    }
+
+    if (!this.pending.has(gameKey)) {
+      this.pending.set(gameKey, new Set());
+    }
+    const timers = this.pending.get(gameKey);
+    const timer = setTimeout(() => {
+      timers.delete(timer);
+      if (timers.size === 0) {
+        this.pending.delete(gameKey);
+      }
+      send();
+    }, this.delayMs);
+    timers.add(timer);
+  }
+
+  clearGame(gameKey) {
+    this.pending.get(gameKey)?.forEach((timer) => clearTimeout(timer));
+    this.pending.delete(gameKey);
+    this.games.delete(gameKey);
+  }
+
+  shutdown() {
+    this.pending.forEach((timers) => timers.forEach((timer) => clearTimeout(timer)));
+    this.pending.clear();
+  }
+}
+
+module.exports = {
+  SPECTATOR_VIEWS,
+  SpectatorRegistry,
+  getSpectatorRoom
+};
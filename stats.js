@@ -1,7 +1,15 @@
 const fs = require('fs').promises;
 const path = require('path');
+const { logger } = require('./logger');
+
+const log = logger.child({ module: 'stats' });
 
 class StatsRepository {
+  // Общее хранилище нескольких экземпляров: снимок нужно перечитывать и без своих изменений
+  get shared() {
+    return false;
+  }
+  
   async load() {
     throw new Error('Method must be implemented');
   }
@@ -9,6 +17,21 @@ class StatsRepository {
   async save(stats) {
     throw new Error('Method must be implemented');
   }
+  
+  /**
+   * Добавление накопленных изменений к сохранённой статистике
+   * @param {Object} delta - результат StatsPeriodManager.createDelta с прибавками
+   * @param {{historyDays: number, outcomesLimit: number}} limits - окно истории и число итогов
+   * @returns {Promise<Object>} - статистика после записи
+   */
+  async applyDelta(delta, { historyDays, outcomesLimit }) {
+    const stored = await this.load();
+    const stats = stored ? StatsPeriodManager.migrate(stored) : StatsPeriodManager.createInitialStats();
+    StatsPeriodManager.pruneHistory(stats, historyDays);
+    StatsPeriodManager.applyDelta(stats, delta, outcomesLimit);
+    await this.save(stats);
+    return stats;
+  }
 }
 
 class FileStatsRepository extends StatsRepository {
@@ -36,6 +59,76 @@ class FileStatsRepository extends StatsRepository {
   }
 }
 
+/**
+ * Статистика в Redis, общая для всех экземпляров сервера: счётчики дней
+ * в хэше (поле «дата:счётчик»), итоги партий — в списке. Экземпляры только
+ * прибавляют свои изменения, поэтому не затирают друг друга
+ */
+class RedisStatsRepository extends StatsRepository {
+  constructor(redis, prefix = 'codenames:') {
+    super();
+    this.redis = redis;
+    this.historyKey = `${prefix}stats:history`;
+    this.allTimeKey = `${prefix}stats:alltime`;
+    this.outcomesKey = `${prefix}stats:outcomes`;
+  }
+  
+  get shared() {
+    return true;
+  }
+  
+  async applyDelta(delta, { historyDays, outcomesLimit }) {
+    const multi = this.redis.multi();
+    Object.entries(delta.history).forEach(([date, counts]) => {
+      Object.entries(counts).forEach(([field, value]) => {
+        if (value) multi.hincrby(this.historyKey, `${date}:${field}`, value);
+      });
+    });
+    if (delta.allTime.totalGames) {
+      multi.hincrby(this.allTimeKey, 'totalGames', delta.allTime.totalGames);
+    }
+    multi.hsetnx(this.allTimeKey, 'serverStartTime', new Date().toISOString());
+    if (delta.outcomes.length > 0) {
+      multi.rpush(this.outcomesKey, ...delta.outcomes.map((outcome) => JSON.stringify(outcome)));
+      multi.ltrim(this.outcomesKey, -outcomesLimit, -1);
+    }
+    multi.hgetall(this.historyKey);
+    multi.hgetall(this.allTimeKey);
+    multi.lrange(this.outcomesKey, 0, -1);
+    
+    const results = await multi.exec();
+    const failed = results.find(([error]) => error);
+    if (failed) throw failed[0];
+    const [[, history], [, allTime], [, outcomes]] = results.slice(-3);
+    
+    const stats = StatsPeriodManager.createInitialStats();
+    stats.allTime = { totalGames: Number(allTime.totalGames) || 0, serverStartTime: allTime.serverStartTime };
+    stats.outcomes = outcomes.map((outcome) => JSON.parse(outcome));
+    
+    const oldest = StatsPeriodManager.addDays(StatsPeriodManager.getToday(), -historyDays + 1);
+    const stale = [];
+    Object.entries(history).forEach(([field, value]) => {
+      const [date, counter] = field.split(':');
+      if (date < oldest) {
+        stale.push(field);
+      } else {
+        StatsPeriodManager.getBucket(stats, date)[counter] = Number(value);
+      }
+    });
+    // Удаление полей повторяемо, поэтому его могут делать все экземпляры одновременно
+    if (stale.length > 0) {
+      await this.redis.hdel(this.historyKey, ...stale);
+    }
+    StatsPeriodManager.pruneHistory(stats, historyDays);
+    
+    return stats;
+  }
+}
+
+/**
+ * Статистика хранится дневными корзинами за скользящее окно,
+ * недели и месяцы считаются суммой дней
+ */
 class StatsPeriodManager {
   static getToday() {
     return new Date().toISOString().split('T')[0];
@@ -43,102 +136,281 @@ class StatsPeriodManager {
   
   static getWeekStart(date = new Date()) {
     const d = new Date(date);
-    const day = d.getDay();
-    const diff = d.getDate() - day + (day === 0 ? -6 : 1);
-    d.setDate(diff);
+    const day = d.getUTCDay();
+    const diff = d.getUTCDate() - day + (day === 0 ? -6 : 1);
+    d.setUTCDate(diff);
     return d.toISOString().split('T')[0];
   }
   
   static getCurrentMonth() {
     const now = new Date();
     return {
-      month: now.getMonth() + 1,
-      year: now.getFullYear()
+      month: now.getUTCMonth() + 1,
+      year: now.getUTCFullYear()
     };
   }
   
+  static addDays(dateStr, days) {
+    const d = new Date(`${dateStr}T00:00:00Z`);
+    d.setUTCDate(d.getUTCDate() + days);
+    return d.toISOString().split('T')[0];
+  }
+  
   static createEmptyPeriodStats() {
     return {
       gamesCreated: 0,
-      gamesCompleted: 0
+      gamesCompleted: 0,
+      aiGenerations: 0
     };
   }
   
   static createInitialStats() {
-    const now = new Date();
-    const currentMonth = this.getCurrentMonth();
-    
     return {
-      daily: {
-        date: this.getToday(),
-        ...this.createEmptyPeriodStats()
-      },
-      weekly: {
-        startDate: this.getWeekStart(),
-        ...this.createEmptyPeriodStats()
-      },
-      monthly: {
-        month: currentMonth.month,
-        year: currentMonth.year,
-        ...this.createEmptyPeriodStats()
-      },
+      history: {},
+      outcomes: [],
       allTime: {
         totalGames: 0,
-        serverStartTime: now.toISOString()
+        serverStartTime: new Date().toISOString()
       }
     };
   }
   
-  static shouldResetPeriod(currentStats) {
-    const today = this.getToday();
-    const weekStart = this.getWeekStart();
-    const currentMonth = this.getCurrentMonth();
+  /**
+   * Старый формат хранил только текущие день, неделю и месяц. День переносится в историю
+   * как есть, а то, что неделя и месяц накопили сверх него, — отдельными корзинами
+   * в дни этих периодов, так что суммы за неделю и за месяц сохраняются
+   */
+  static migrate(stats) {
+    if (stats.history) return stats;
+    
+    const { daily, weekly, monthly, ...rest } = stats;
+    const history = {};
+    const fields = Object.keys(this.createEmptyPeriodStats());
+    const add = (date, counts) => {
+      if (!fields.some((field) => counts[field] > 0)) return;
+      const bucket = this.getBucket({ history }, date);
+      fields.forEach((field) => {
+        bucket[field] += counts[field];
+      });
+    };
+    // Сколько период накопил сверх корзин, уже лежащих в его днях
+    const remainder = (total, from, to) => Object.fromEntries(fields.map((field) => {
+      const counted = Object.entries(history)
+        .filter(([date]) => date >= from && date <= to)
+        .reduce((sum, [, counts]) => sum + counts[field], 0);
+      return [field, Math.max(0, (total[field] || 0) - counted)];
+    }));
     
+    if (daily?.date) {
+      const { date, ...counts } = daily;
+      history[date] = { ...this.createEmptyPeriodStats(), ...counts };
+    }
+    
+    const monthStart = monthly?.year && monthly?.month
+      ? `${monthly.year}-${String(monthly.month).padStart(2, '0')}-01`
+      : null;
+    // Даты сравниваются строками, так что «-31» покрывает любой месяц
+    const monthEnd = monthStart && `${monthStart.slice(0, 7)}-31`;
+    const weekEnd = weekly?.startDate && this.addDays(weekly.startDate, 6);
+    const weekCoversMonthStart = Boolean(weekEnd && monthStart)
+      && weekly.startDate <= monthStart && monthStart <= weekEnd;
+    
+    if (weekEnd) {
+      const week = remainder(weekly, weekly.startDate, weekEnd);
+      if (weekCoversMonthStart && weekly.startDate < monthStart) {
+        // Неделя началась в прошлом месяце: в этот месяц относим не больше, чем он накопил
+        const month = remainder(monthly, monthStart, monthEnd);
+        const inMonth = Object.fromEntries(fields.map((field) => [field, Math.min(week[field], month[field])]));
+        add(monthStart, inMonth);
+        add(weekly.startDate, Object.fromEntries(fields.map((field) => [field, week[field] - inMonth[field]])));
+      } else {
+        add(weekly.startDate, week);
+      }
+    }
+    if (monthStart) {
+      // Остаток месяца кладём вне недели, иначе он попал бы и в её сумму
+      const date = weekCoversMonthStart ? this.addDays(weekEnd, 1) : monthStart;
+      add(date, remainder(monthly, monthStart, monthEnd));
+    }
+    return { outcomes: [], ...rest, history };
+  }
+  
+  // Прибавки, накопленные между записями: та же форма, что у статистики
+  static createDelta() {
     return {
-      daily: currentStats.daily.date !== today,
-      weekly: currentStats.weekly.startDate !== weekStart,
-      monthly: currentStats.monthly.month !== currentMonth.month || 
-               currentStats.monthly.year !== currentMonth.year
+      history: {},
+      outcomes: [],
+      allTime: { totalGames: 0 }
     };
   }
   
-  static resetPeriods(stats, resetFlags) {
-    const newStats = { ...stats };
-    
-    if (resetFlags.daily) {
-      newStats.daily = {
-        date: this.getToday(),
-        ...this.createEmptyPeriodStats()
-      };
+  static applyDelta(stats, delta, outcomesLimit = Infinity) {
+    Object.entries(delta.history).forEach(([date, counts]) => {
+      const bucket = this.getBucket(stats, date);
+      Object.entries(counts).forEach(([field, value]) => {
+        bucket[field] = (bucket[field] || 0) + value;
+      });
+    });
+    stats.allTime.totalGames += delta.allTime.totalGames;
+    stats.outcomes.push(...delta.outcomes);
+    if (stats.outcomes.length > outcomesLimit) {
+      stats.outcomes.splice(0, stats.outcomes.length - outcomesLimit);
     }
-    
-    if (resetFlags.weekly) {
-      newStats.weekly = {
-        startDate: this.getWeekStart(),
-        ...this.createEmptyPeriodStats()
-      };
+    return stats;
+  }
+  
+  static getBucket(stats, date = this.getToday()) {
+    if (!stats.history[date]) {
+      stats.history[date] = this.createEmptyPeriodStats();
     }
+    return stats.history[date];
+  }
+  
+  static pruneHistory(stats, keepDays) {
+    const oldest = this.addDays(this.getToday(), -keepDays + 1);
+    Object.keys(stats.history).forEach((date) => {
+      if (date < oldest) {
+        delete stats.history[date];
+      }
+    });
+    stats.outcomes = (stats.outcomes || []).filter((outcome) => outcome.date >= oldest);
+  }
+  
+  static getPeriodStart(date, granularity) {
+    if (granularity === 'all') return 'all';
+    if (granularity === 'week') return this.getWeekStart(`${date}T00:00:00Z`);
+    if (granularity === 'month') return `${date.slice(0, 7)}-01`;
+    return date;
+  }
+  
+  /**
+   * Сумма дневных корзин по периодам; дни без активности входят нулями
+   * @param {Object} history - дата -> счётчики
+   * @param {string} from - первый день (YYYY-MM-DD)
+   * @param {string} to - последний день (YYYY-MM-DD)
+   * @param {'day'|'week'|'month'|'all'} granularity - размер периода, all — одна сумма за весь диапазон
+   * @returns {Object[]} - [{ period, from, to, ...счётчики }]
+   */
+  static aggregate(history, from, to, granularity = 'day') {
+    const periods = [];
+    let current = null;
     
-    if (resetFlags.monthly) {
-      const currentMonth = this.getCurrentMonth();
-      newStats.monthly = {
-        month: currentMonth.month,
-        year: currentMonth.year,
-        ...this.createEmptyPeriodStats()
-      };
+    for (let date = from; date <= to; date = this.addDays(date, 1)) {
+      const period = this.getPeriodStart(date, granularity);
+      if (!current || current.period !== period) {
+        current = { period, from: date, to: date, ...this.createEmptyPeriodStats() };
+        periods.push(current);
+      }
+      current.to = date;
+      
+      const bucket = history[date];
+      if (bucket) {
+        Object.entries(bucket).forEach(([field, value]) => {
+          if (typeof value === 'number') {
+            current[field] = (current[field] || 0) + value;
+          }
+        });
+      }
     }
-    
-    return newStats;
+    return periods;
   }
 }
 
+const median = (values) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+const rate = (count, total) => (total > 0 ? count / total : null);
+
+/**
+ * Сводка по итогам партий: баланс цветов, проигрыши на убийце, длительность
+ */
+class OutcomeAnalytics {
+  static summarize(outcomes) {
+    const total = outcomes.length;
+    const decided = outcomes.filter((o) => o.winningTeam);
+
+    // Синие, красные и убийца есть всегда, цвета других команд — если они побеждали
+    const winners = { blue: 0, red: 0, assassin: 0 };
+    outcomes.forEach((o) => {
+      if (o.winner) winners[o.winner] = (winners[o.winner] || 0) + 1;
+    });
+
+    return {
+      games: total,
+      winners,
+      assassinLossRate: rate(outcomes.filter((o) => o.winner === 'assassin').length, total),
+      firstTeamWinRate: rate(decided.filter((o) => o.winningTeam === o.startingTeam).length, decided.length),
+      medianDurationMs: median(outcomes.map((o) => o.durationMs).filter((d) => d !== null)),
+      medianReveals: median(outcomes.map((o) => o.reveals)),
+      medianTurnSwitches: median(outcomes.map((o) => o.turnSwitches)),
+      medianPeakPlayers: median(outcomes.map((o) => o.peakPlayers))
+    };
+  }
+
+  /**
+   * Сводка по партиям «Дуэта»: побед, проигрышей на убийце и по времени
+   * @param {Object[]} outcomes - итоги партий режима duet
+   */
+  static summarizeDuet(outcomes) {
+    const total = outcomes.length;
+    const wins = outcomes.filter((o) => o.winner === 'players');
+
+    return {
+      games: total,
+      winners: {
+        players: wins.length,
+        assassin: outcomes.filter((o) => o.winner === 'assassin').length,
+        time: outcomes.filter((o) => o.winner === 'time').length
+      },
+      winRate: rate(wins.length, total),
+      medianTurnsLeft: median(wins.map((o) => o.turnsLeft)),
+      medianDurationMs: median(outcomes.map((o) => o.durationMs).filter((d) => d !== null))
+    };
+  }
+
+  /**
+   * Сводка целиком, отдельно по типам и именам словарей и по числу команд; партии «Дуэта» считаются отдельно
+   * @param {Object[]} allOutcomes - итоги партий
+   */
+  static aggregate(allOutcomes) {
+    const outcomes = allOutcomes.filter((o) => o.mode !== 'duet');
+    const group = (field) => {
+      const groups = {};
+      outcomes.forEach((outcome) => {
+        const name = outcome[field] || 'unknown';
+        (groups[name] = groups[name] || []).push(outcome);
+      });
+      return Object.fromEntries(Object.entries(groups).map(([name, list]) => [name, this.summarize(list)]));
+    };
+
+    return {
+      ...this.summarize(outcomes),
+      byDictionaryType: group('dictionaryType'),
+      byDictionary: group('dictionary'),
+      byTeamCount: group('teams'),
+      duet: this.summarizeDuet(allOutcomes.filter((o) => o.mode === 'duet'))
+    };
+  }
+}
+
+/**
+ * Счётчики и итоги партий. Изменения копятся в pending и раз в 30 секунд
+ * прибавляются к хранилищу, после чего снимок перечитывается
+ */
 class GameStatsService {
-  constructor(repository) {
+  constructor(repository, historyDays = 730, outcomesLimit = 10000) {
     this.repository = repository;
+    this.historyDays = historyDays;
+    this.outcomesLimit = outcomesLimit;
     this.stats = null;
-    this.activeGamesCount = 0;
+    this.pending = StatsPeriodManager.createDelta();
     this.isDirty = false;
     this.saveInterval = null;
+    this.prunedOn = null;
     
     this.initialize();
   }
@@ -148,30 +420,35 @@ class GameStatsService {
     this.startPeriodicSave();
   }
   
+  getLimits() {
+    return { historyDays: this.historyDays, outcomesLimit: this.outcomesLimit };
+  }
+  
   async loadStats() {
     try {
-      this.stats = await this.repository.load();
-      
-      if (!this.stats) {
-        this.stats = StatsPeriodManager.createInitialStats();
-        await this.saveStats();
-      } else {
-        this.checkAndResetPeriods();
-      }
+      this.stats = await this.repository.applyDelta(StatsPeriodManager.createDelta(), this.getLimits());
+      this.prunedOn = StatsPeriodManager.getToday();
     } catch (error) {
-      console.error('Error loading stats:', error);
+      log.error('Error loading stats', { error });
       this.stats = StatsPeriodManager.createInitialStats();
     }
   }
   
-  checkAndResetPeriods() {
-    const resetFlags = StatsPeriodManager.shouldResetPeriod(this.stats);
-    const needsReset = Object.values(resetFlags).some(flag => flag);
+  // Старые дни выпадают из окна истории раз в сутки; хранилище чистится при записи
+  pruneHistory() {
+    const today = StatsPeriodManager.getToday();
+    if (this.prunedOn === today) return;
     
-    if (needsReset) {
-      this.stats = StatsPeriodManager.resetPeriods(this.stats, resetFlags);
-      this.markDirty();
-    }
+    StatsPeriodManager.pruneHistory(this.stats, this.historyDays);
+    this.prunedOn = today;
+  }
+  
+  increment(field) {
+    this.pruneHistory();
+    StatsPeriodManager.getBucket(this.stats)[field]++;
+    const pending = StatsPeriodManager.getBucket(this.pending);
+    pending[field] = (pending[field] || 0) + 1;
+    this.markDirty();
   }
   
   markDirty() {
@@ -181,17 +458,24 @@ class GameStatsService {
   async saveStats() {
     if (!this.stats) return;
     
+    const delta = this.pending;
+    this.pending = StatsPeriodManager.createDelta();
+    this.isDirty = false;
     try {
-      await this.repository.save(this.stats);
-      this.isDirty = false;
+      const stored = await this.repository.applyDelta(delta, this.getLimits());
+      // Изменения, сделанные во время записи, остаются в pending и видны сразу
+      this.stats = StatsPeriodManager.applyDelta(stored, this.pending, this.outcomesLimit);
     } catch (error) {
-      console.error('Error saving stats:', error);
+      log.error('Error saving stats', { error });
+      this.pending = StatsPeriodManager.applyDelta(delta, this.pending);
+      this.isDirty = true;
     }
   }
   
+  // Общее хранилище перечитываем и без своих изменений: так видны счётчики других экземпляров
   startPeriodicSave() {
     this.saveInterval = setInterval(async () => {
-      if (this.isDirty) {
+      if (this.isDirty || this.repository.shared) {
         await this.saveStats();
       }
     }, 30000);
@@ -205,34 +489,85 @@ class GameStatsService {
   }
   
   addGame(gameKey) {
-    this.activeGamesCount++;
-    this.checkAndResetPeriods();
-    this.stats.daily.gamesCreated++;
-    this.stats.weekly.gamesCreated++;
-    this.stats.monthly.gamesCreated++;
+    this.increment('gamesCreated');
     this.stats.allTime.totalGames++;
-    this.markDirty();
+    this.pending.allTime.totalGames++;
+  }
+
+  /**
+   * Завершённая партия
+   * @param {string} gameKey - ключ игры
+   * @param {Object} [outcome] - итог из getOutcome и тип словаря
+   */
+  completeGame(gameKey, outcome = null) {
+    this.increment('gamesCompleted');
+    if (outcome) {
+      const entry = { date: StatsPeriodManager.getToday(), ...outcome };
+      this.pending.outcomes.push(entry);
+      this.stats.outcomes.push(entry);
+      if (this.stats.outcomes.length > this.outcomesLimit) {
+        this.stats.outcomes.splice(0, this.stats.outcomes.length - this.outcomesLimit);
+      }
+    }
   }
   
-  removeGame(gameKey) {
-    this.activeGamesCount--;
+  recordAIGeneration() {
+    this.increment('aiGenerations');
   }
   
-  completeGame(gameKey) {
-    this.checkAndResetPeriods();
-    this.stats.daily.gamesCompleted++;
-    this.stats.weekly.gamesCompleted++;
-    this.stats.monthly.gamesCompleted++;
-    this.markDirty();
+  getAIGenerationsToday() {
+    return this.stats.history[StatsPeriodManager.getToday()]?.aiGenerations || 0;
   }
   
-  getStats() {
-    this.checkAndResetPeriods();
+  sumSince(from) {
+    const today = StatsPeriodManager.getToday();
+    const [{ period, from: start, to, ...counts }] = StatsPeriodManager.aggregate(this.stats.history, from, today, 'all');
+    return counts;
+  }
+  
+  /**
+   * Текущие день, неделя и месяц в прежнем формате ответа /stats
+   * @param {number} activeGames - число комнат в хранилище игр
+   */
+  getStats(activeGames) {
+    const today = StatsPeriodManager.getToday();
+    const weekStart = StatsPeriodManager.getWeekStart();
+    const currentMonth = StatsPeriodManager.getCurrentMonth();
     
     return {
-      activeGames: this.activeGamesCount,
+      activeGames,
       uptime: Math.floor(process.uptime()),
-      ...this.stats
+      daily: {
+        date: today,
+        ...this.sumSince(today)
+      },
+      weekly: {
+        startDate: weekStart,
+        ...this.sumSince(weekStart)
+      },
+      monthly: {
+        month: currentMonth.month,
+        year: currentMonth.year,
+        ...this.sumSince(`${today.slice(0, 7)}-01`)
+      },
+      allTime: this.stats.allTime,
+      outcomes: OutcomeAnalytics.aggregate(this.stats.outcomes)
+    };
+  }
+  
+  /**
+   * История по дням, неделям или месяцам
+   * @param {Object} range
+   * @param {string} range.from - первый день (YYYY-MM-DD)
+   * @param {string} range.to - последний день (YYYY-MM-DD)
+   * @param {'day'|'week'|'month'} range.granularity - размер периода
+   */
+  getHistory({ from, to, granularity }) {
+    return {
+      from,
+      to,
+      granularity,
+      periods: StatsPeriodManager.aggregate(this.stats.history, from, to, granularity)
     };
   }
   
@@ -245,16 +580,27 @@ class GameStatsService {
 }
 
 class GameStatsFactory {
-  static create(dataDir = 'data') {
-    const statsFilePath = path.join(__dirname, dataDir, 'stats.json');
-    const repository = new FileStatsRepository(statsFilePath);
-    return new GameStatsService(repository);
+  /**
+   * @param {string} [dataDir] - папка для stats.json
+   * @param {Redis} [redis] - клиент ioredis; с ним статистика общая для всех экземпляров
+   */
+  static create(dataDir = 'data', redis = null) {
+    const repository = redis
+      ? new RedisStatsRepository(redis, process.env.REDIS_PREFIX || 'codenames:')
+      : new FileStatsRepository(path.join(__dirname, dataDir, 'stats.json'));
+    return new GameStatsService(
+      repository,
+      Number(process.env.STATS_HISTORY_DAYS) || 730,
+      Number(process.env.STATS_OUTCOMES_LIMIT) || 10000
+    );
   }
 }
 
 module.exports = {
   GameStatsService,
   FileStatsRepository,
+  RedisStatsRepository,
   StatsPeriodManager,
+  OutcomeAnalytics,
   GameStatsFactory
 };
\ No newline at end of file
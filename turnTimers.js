@@ -0,0 +1,140 @@
+/**
+ * Серверные таймеры ходов: время на подсказку капитана и на отгадывание
+ */
+
+const MIN_TIMER_SECONDS = 10;
+const MAX_TIMER_SECONDS = 900;
+
+/**
+ * Разбор настроек таймеров из опций создания игры
+ * @param {{clue?: number, guess?: number}} [timers] - секунды на подсказку и на отгадывание
+ * @returns {{clue: number|null, guess: number|null}}
+ */
+function normalizeTimerOptions(timers = {}) {
+  const result = { clue: null, guess: null };
+
+  for (const phase of Object.keys(result)) {
+    const value = timers[phase];
+    if (value === undefined || value === null || value === 0) continue;
+
+    if (!Number.isInteger(value) || value < MIN_TIMER_SECONDS || value > MAX_TIMER_SECONDS) {
+      throw new Error(`Таймер должен быть от ${MIN_TIMER_SECONDS} до ${MAX_TIMER_SECONDS} секунд`);
+    }
+    result[phase] = value;
+  }
+
+  return result;
+}
+
+/**
+ * Текущая фаза хода: до подсказки ждём капитана, после — агентов
+ * @param {Object} game - состояние игры
+ * @returns {'clue'|'guess'}
+ */
+function getTurnPhase(game) {
+  return game.currentClue ? 'guess' : 'clue';
+}
+
+class TurnTimerService {
+  /**
+   * @param {function(string, string): void} onExpire - вызывается при истечении времени хода
+   *   с ключом игры и фазой, для которой ставился таймер. Игра к этому моменту могла
+   *   измениться (в том числе на другом экземпляре), поэтому фазу сверяет вызывающий
+   */
+  constructor(onExpire) {
+    this.onExpire = onExpire;
+    this.handles = new Map();
+  }
+
+  /**
+   * Приведение таймера в соответствие с состоянием игры. Новый дедлайн
+   * назначается только при смене фазы хода, поэтому вызов можно повторять
+   * @param {string} gameKey - ключ игры
+   * @param {Object} game - состояние игры
+   */
+  sync(gameKey, game) {
+    const phase = getTurnPhase(game);
+    const seconds = game.timers?.[phase];
+
+    if (game.gameOver || !seconds) {
+      this.clear(gameKey);
+      game.turnDeadline = null;
+      game.timerPausedRemaining = null;
+      game.timerPhaseId = null;
+      return;
+    }
+
+    const phaseId = `${game.turnNumber}:${phase}`;
+    if (game.timerPhaseId !== phaseId) {
+      game.timerPhaseId = phaseId;
+      if (game.timerPausedRemaining !== null) {
+        game.timerPausedRemaining = seconds * 1000;
+      } else {
+        game.turnDeadline = Date.now() + seconds * 1000;
+      }
+    }
+
+    if (game.timerPausedRemaining === null) {
+      this.schedule(gameKey, game);
+    }
+  }
+
+  /**
+   * Остановка таймера, когда в комнате никого не осталось
+   * @param {string} gameKey - ключ игры
+   * @param {Object} game - состояние игры
+   */
+  pause(gameKey, game) {
+    this.clear(gameKey);
+    if (game.turnDeadline === null) return;
+
+    game.timerPausedRemaining = Math.max(0, game.turnDeadline - Date.now());
+    game.turnDeadline = null;
+  }
+
+  /**
+   * Возобновление таймера с того же остатка времени
+   * @param {string} gameKey - ключ игры
+   * @param {Object} game - состояние игры
+   */
+  resume(gameKey, game) {
+    if (game.timerPausedRemaining !== null) {
+      game.turnDeadline = Date.now() + game.timerPausedRemaining;
+      game.timerPausedRemaining = null;
+    }
+    this.sync(gameKey, game);
+  }
+
+  schedule(gameKey, game) {
+    this.clear(gameKey);
+    if (game.turnDeadline === null) return;
+
+    const phaseId = game.timerPhaseId;
+    const handle = setTimeout(() => {
+      this.handles.delete(gameKey);
+      this.onExpire(gameKey, phaseId);
+    }, Math.max(0, game.turnDeadline - Date.now()));
+    this.handles.set(gameKey, handle);
+  }
+
+  clear(gameKey) {
+    const handle = this.handles.get(gameKey);
+    if (handle) {
+      clearTimeout(handle);
+      this.handles.delete(gameKey);
+    }
+  }
+
+  shutdown() {
+    this.handles.forEach((handle) => clearTimeout(handle));
+    this.handles.clear();
+  }
+}
+
+module.exports = {
+  MIN_TIMER_SECONDS,
+  MAX_TIMER_SECONDS,
+  normalizeTimerOptions,
+  getTurnPhase,
+  TurnTimerService
+};
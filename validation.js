@@ -0,0 +1,122 @@
+/**
+ * Минимальный декларативный валидатор входящих данных сокетов и REST.
+ * Схема — это функция (value, path) => очищенное значение, бросающая ValidationError
+ */
+
+class ValidationError extends Error {
+  constructor(field, message) {
+    super(field ? `${field}: ${message}` : message);
+    this.name = 'ValidationError';
+    this.code = 'VALIDATION_ERROR';
+    this.field = field;
+  }
+}
+
+const fail = (path, message) => {
+  throw new ValidationError(path, message);
+};
+
+const string = ({ min = 0, max = Infinity, pattern = null, trim = true } = {}) => (value, path) => {
+  if (typeof value !== 'string') fail(path, 'ожидалась строка');
+  const result = trim ? value.trim() : value;
+  if (result.length < min) fail(path, min === 1 ? 'не может быть пустым' : `минимум ${min} символов`);
+  if (result.length > max) fail(path, `максимум ${max} символов`);
+  if (pattern && !pattern.test(result)) fail(path, 'недопустимый формат');
+  return result;
+};
+
+const integer = ({ min = -Infinity, max = Infinity } = {}) => (value, path) => {
+  if (!Number.isInteger(value)) fail(path, 'ожидалось целое число');
+  if (value < min || value > max) fail(path, `должно быть от ${min} до ${max}`);
+  return value;
+};
+
+// Целое число из строки запроса (?page=2)
+const integerString = ({ min = -Infinity, max = Infinity } = {}) => (value, path) => {
+  if (typeof value !== 'string' || !/^-?\d+$/.test(value)) fail(path, 'ожидалось целое число');
+  return integer({ min, max })(Number(value), path);
+};
+
+const boolean = () => (value, path) => {
+  if (typeof value !== 'boolean') fail(path, 'ожидалось true или false');
+  return value;
+};
+
+const oneOf = (values) => (value, path) => {
+  if (!values.includes(value)) fail(path, `допустимые значения: ${values.join(', ')}`);
+  return value;
+};
+
+const array = (item, { min = 0, max = Infinity } = {}) => (value, path) => {
+  if (!Array.isArray(value)) fail(path, 'ожидался массив');
+  if (value.length < min || value.length > max) fail(path, `длина должна быть от ${min} до ${max}`);
+  return value.map((element, i) => item(element, `${path}[${i}]`));
+};
+
+// Неизвестные поля отбрасываются, чтобы в обработчики попадало только описанное в схеме
+const object = (shape) => (value, path) => {
+  if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+    fail(path, 'ожидался объект');
+  }
+
+  const result = {};
+  for (const [key, validator] of Object.entries(shape)) {
+    const cleaned = validator(value[key], path ? `${path}.${key}` : key);
+    if (cleaned !== undefined) {
+      result[key] = cleaned;
+    }
+  }
+  return result;
+};
+
+const optional = (validator) => (value, path) => {
+  if (value === undefined || value === null) return undefined;
+  return validator(value, path);
+};
+
+/**
+ * Проверка значения по схеме
+ * @param {Function} schema - схема
+ * @param {*} value - входные данные
+ * @returns {*} - очищенные данные
+ * @throws {ValidationError}
+ */
+function validate(schema, value) {
+  return schema(value, '');
+}
+
+/**
+ * Express middleware проверки части запроса (body, query, params)
+ * @param {'body'|'query'|'params'} source - что проверять
+ * @param {Function} schema - схема
+ */
+function validateRequest(source, schema) {
+  return (req, res, next) => {
+    try {
+      req.validated = { ...req.validated, [source]: validate(schema, req[source]) };
+      next();
+    } catch (error) {
+      if (!(error instanceof ValidationError)) throw error;
+      res.status(400).json({
+        success: false,
+        code: error.code,
+        field: error.field,
+        message: error.message
+      });
+    }
+  };
+}
+
+module.exports = {
+  ValidationError,
+  string,
+  integer,
+  integerString,
+  boolean,
+  oneOf,
+  array,
+  object,
+  optional,
+  validate,
+  validateRequest
+};
@@ -0,0 +1,122 @@
+/**
+ * Контроль качества списков слов от ИИ: нормализация, отсев
+ * неподходящих слов и объяснение причины для каждого отброшенного
+ */
+
+const { normalizeWord: normalizeBoardWord } = require('./gameState');
+
+const REJECT_REASONS = {
+  EMPTY: 'empty',
+  MULTI_WORD: 'multi_word',
+  HYPHEN: 'hyphen',
+  NON_CYRILLIC: 'non_cyrillic',
+  VERB: 'verb',
+  DUPLICATE: 'duplicate',
+  SAME_ROOT: 'same_root'
+};
+
+// Существительные, которые выглядят как инфинитив
+const NOUNS_LIKE_VERBS = new Set([
+  'ПЕЧАТЬ', 'КРОВАТЬ', 'ПАМЯТЬ', 'БЛАГОДАТЬ', 'ЗНАТЬ', 'СЕТЬ', 'НИТЬ', 'МАТЬ',
+  'ПЯТЬ', 'РАТЬ', 'СТАТЬ', 'ГАТЬ', 'ДОЧЬ', 'НОЧЬ', 'ПЕЧЬ', 'РЕЧЬ', 'ДИЧЬ',
+  'ПУТЬ', 'РТУТЬ', 'ПЛОТЬ', 'ЗЯТЬ', 'СУТЬ', 'ЖУТЬ', 'МУТЬ', 'ПЛЕТЬ', 'КЛЕТЬ'
+]);
+
+const NOUN_ENDINGS = ['ОСТЬ', 'ЕНИЕ', 'АНИЕ', 'ЕНОК', 'ОНОК', 'НИК', 'ЧИК', 'ЩИК', 'ИЕ', 'ИЯ', 'ОК', 'ЕК', 'ИК', 'КА',
+  'А', 'Я', 'О', 'Е', 'Ь', 'Ы', 'И', 'Й', 'У', 'Ю'];
+
+// Суффиксы, которыми однокоренное слово может отличаться от основы: «КАРТ-ОЧ-КА», «ДОМ-ИК»
+const ROOT_SUFFIXES = new Set(['ОЧ', 'ЕЧ', 'ИЧ', 'ИК', 'ОК', 'ЕК', 'АК', 'ЯК', 'ОН', 'ЕН', 'ИН', 'ИЩ', 'УШ', 'ЮШ', 'ЯТ', 'АТ',
+  'ОВ', 'ЕВ', 'Н', 'НИК', 'ЧИК', 'ЩИК', 'ЕНЬ']);
+
+/**
+ * Приведение слова к каноническому виду: без кавычек и лишних пробелов,
+ * дальше — как слова поля (заглавными буквами, «Ё» заменена на «Е»)
+ * @param {*} word - слово из ответа модели
+ * @returns {string}
+ */
+function normalizeWord(word) {
+  return normalizeBoardWord(String(word ?? '')
+    .replace(/["'«»“”„`.,;:!?]/g, '')
+    .replace(/\s+/g, ' '));
+}
+
+function looksLikeVerb(word) {
+  if (NOUNS_LIKE_VERBS.has(word)) return false;
+  return /(ТЬСЯ|ТИСЬ|ЧЬСЯ)$/.test(word) ||
+    (word.length >= 4 && /[АЯЕИОУЫ]ТЬ$/.test(word)) ||
+    /[АЕИОУЯ]ЧЬ$/.test(word);
+}
+
+/**
+ * Грубая основа слова: отбрасываем одно типичное окончание или суффикс
+ * @param {string} word - нормализованное слово
+ * @returns {string}
+ */
+function getStem(word) {
+  const ending = NOUN_ENDINGS.find((e) => word.endsWith(e) && word.length - e.length >= 3);
+  return ending ? word.slice(0, -ending.length) : word;
+}
+
+/**
+ * Однокоренные слова: основы совпадают или более длинная — это короткая
+ * плюс словообразовательный суффикс. Общего начала мало: «КАРТОФЕЛЬ» и «КАРТОЧКА»,
+ * «ПРОГРАММА» и «ПРОГРЕСС» — разные корни
+ */
+function shareRoot(a, b) {
+  const [shorter, longer] = [getStem(a), getStem(b)].sort((x, y) => x.length - y.length);
+  if (shorter === longer) return true;
+  return longer.startsWith(shorter) && ROOT_SUFFIXES.has(longer.slice(shorter.length));
+}
+
+/**
+ * Проверка списка слов
+ * @param {Array} rawWords - слова из ответа модели
+ * @param {string[]} [accepted] - уже принятые слова, с которыми нельзя пересекаться
+ * @returns {{words: string[], rejected: {word: string, reason: string, conflictsWith?: string}[]}}
+ */
+function filterWords(rawWords, accepted = []) {
+  const words = [];
+  const rejected = [];
+  const all = [...accepted];
+
+  for (const raw of rawWords) {
+    const word = normalizeWord(raw);
+    const reject = (reason, conflictsWith) => {
+      rejected.push({ word: String(raw ?? ''), reason, ...(conflictsWith && { conflictsWith }) });
+    };
+
+    if (!word) {
+      reject(REJECT_REASONS.EMPTY);
+    } else if (word.includes(' ')) {
+      reject(REJECT_REASONS.MULTI_WORD);
+    } else if (word.includes('-') || word.includes('–') || word.includes('—')) {
+      reject(REJECT_REASONS.HYPHEN);
+    } else if (!/^[А-Я]+$/.test(word)) {
+      reject(REJECT_REASONS.NON_CYRILLIC);
+    } else if (looksLikeVerb(word)) {
+      reject(REJECT_REASONS.VERB);
+    } else if (all.includes(word)) {
+      reject(REJECT_REASONS.DUPLICATE, word);
+    } else {
+      const relative = all.find((other) => shareRoot(word, other));
+      if (relative) {
+        reject(REJECT_REASONS.SAME_ROOT, relative);
+      } else {
+        words.push(word);
+        all.push(word);
+      }
+    }
+  }
+
+  return { words, rejected };
+}
+
+module.exports = {
+  REJECT_REASONS,
+  normalizeWord,
+  looksLikeVerb,
+  getStem,
+  shareRoot,
+  filterWords
+};